@@ -1,7 +1,8 @@
 // config.js - Centralized configuration
-require('dotenv').config();
+require('dotenv').config({ quiet: true });
 const path = require('path');
 const os = require('os');
+const PlatformUtils = require('./src/platform-utils');
 
 module.exports = {
     // Environment to S3 bucket mapping
@@ -33,8 +34,44 @@ module.exports = {
     // Application settings
     app: {
         localTempDir: process.env.LOCAL_TEMP_DIR || path.join(os.tmpdir(), 'db-restore'),
+        // Interrupted downloads are kept here (outside localTempDir) so the next run can resume them
+        partialDir: process.env.PARTIAL_DOWNLOAD_DIR || path.join(os.tmpdir(), 'db-restore-partial'),
         supportedFormats: ['.tar.gz', '.tar'],
-        maxRetries: parseInt(process.env.MAX_RETRIES) || 3
+        maxRetries: parseInt(process.env.MAX_RETRIES) || 3,
+        // Backups at least this large are downloaded as parallel byte ranges
+        multipartThreshold: (parseInt(process.env.MULTIPART_THRESHOLD_MB) || 256) * 1024 * 1024,
+        downloadPartSize: (parseInt(process.env.DOWNLOAD_PART_SIZE_MB) || 64) * 1024 * 1024,
+        downloadConcurrency: parseInt(process.env.DOWNLOAD_CONCURRENCY) || 4,
+        // Verified downloads are kept here, keyed by bucket/key/ETag, and evicted least recently used first
+        cacheEnabled: process.env.DOWNLOAD_CACHE !== 'false',
+        cacheDir: process.env.DOWNLOAD_CACHE_DIR || PlatformUtils.getUserCacheDir(),
+        cacheMaxSize: (parseFloat(process.env.DOWNLOAD_CACHE_MAX_GB) || 20) * 1024 * 1024 * 1024,
+        // Pipe .sql.gz/.dump.gz backups straight into psql/pg_restore instead of downloading them first
+        streamRestore: process.env.STREAM_RESTORE === 'true',
+        // Parallel pg_restore workers for custom/directory dumps: "auto" (CPU count) or a number
+        restoreJobs: process.env.RESTORE_JOBS || 'auto',
+        // Restore the dump's owners and grants, creating the roles they name, instead of reassigning to PG_USER
+        keepOwners: process.env.KEEP_OWNERS === 'true',
+        // How long replace mode keeps the replaced database as <name>__previous (12h, 7d, 2w; 0 drops it)
+        previousDbRetention: process.env.PREVIOUS_DB_RETENTION || '7d',
+        // Snapshot an existing target before a restore overwrites it: ask, template, dump or none
+        snapshotMode: process.env.SNAPSHOT_MODE || 'ask',
+        // pg_dump snapshots are kept here, one directory per database; SNAPSHOT_KEEP newest per database
+        snapshotDir: process.env.SNAPSHOT_DIR || path.join(PlatformUtils.getUserDataDir(), 'snapshots'),
+        snapshotKeep: parseInt(process.env.SNAPSHOT_KEEP) || 3,
+        // Per-service masking rules, <service>.json; prod backups cannot be restored without them
+        maskingRulesDir: process.env.MASKING_RULES_DIR || path.join(PlatformUtils.getUserConfigDir(), 'masking'),
+        // Per-service hooks, <service>.json: SQL files and shell commands run before and after restores
+        hooksDir: process.env.HOOKS_DIR || path.join(PlatformUtils.getUserConfigDir(), 'hooks'),
+        // Per-service verification specs, <service>.json: required tables and smoke queries with assertions
+        verifySpecsDir: process.env.VERIFY_SPECS_DIR || path.join(PlatformUtils.getUserConfigDir(), 'verify'),
+        // Every restore run is recorded here for `db-restore history` and `db-restore rerun`; oldest runs beyond the limit are dropped
+        historyFile: process.env.HISTORY_FILE || path.join(PlatformUtils.getUserConfigDir(), 'history.json'),
+        historyLimit: parseInt(process.env.HISTORY_LIMIT) || 500,
+        // Checksum-verify downloads and test archives before extraction
+        verifyIntegrity: process.env.VERIFY_INTEGRITY !== 'false',
+        // Number of menu entries rendered at once; longer lists scroll
+        menuPageSize: parseInt(process.env.MENU_PAGE_SIZE) || 15
     },
 
     // DBeaver configuration with Ubuntu-specific settings
@@ -1,6 +1,180 @@
+const CliArgs = require('./src/cli-args');
 const RestoreCLI = require('./src/restore-cli');
 
+const USAGE = `
+Usage: db-restore [command] [options]
+
+Commands:
+  restore              Restore a database (default). Missing values are asked interactively.
+  list [service]       List services, or the backups of a service
+  cache <action>       Manage the download cache: list | prune | clear
+  inspect <backup>     Show what a backup (S3 key or local file) contains without restoring it
+  diff <backupA> <backupB>  Compare the schema and table sizes of two backups
+  rollback <db>        Replace a database with its most recent snapshot
+  reset <db>           Recreate a database from its saved template (see --save-template)
+  templates <action>   Manage saved templates: list | rm <template|db>
+  subset <source-db>   Copy a consistent slice of a local database into --target (see --subset)
+  history              List past restore runs
+  rerun <id|last>      Repeat a past restore run without prompts
+
+Restore options:
+  --source <type>      cloud | local
+  --file <path>        Local dump file to restore (implies --source local)
+  --profile <name>     AWS profile
+  --env <name>         Environment (dev, stage, prod)
+  --service <name>     Service (S3 prefix)
+  --backup <spec>      latest | backup filename | full S3 key
+  --target <db>        Target database name
+  --mode <mode>        new | existing | replace
+  --keep-previous <age>  How long replace keeps the old database as <target>__previous (7d; 0 = drop)
+  --snapshot <method>  Snapshot an existing target first: template | dump | none (default: ask)
+  --dbeaver <mode>     auto | select | skip
+  --folder <name>      DBeaver folder for the new connection
+  --no-verify-integrity  Skip checksum verification and archive tests
+  --no-cache           Always download from S3 and do not keep a cached copy
+  --stream             Pipe .sql.gz/.dump.gz backups straight into psql/pg_restore (no temp files)
+  --schema <name>      Restore only this schema (repeatable; custom/directory dumps)
+  --table <name>       Restore only this table, e.g. public.orders (repeatable, * wildcards)
+  --exclude-table <name>       Leave this table out (repeatable)
+  --exclude-table-data <name>  Restore this table's definition without its rows (repeatable)
+  --jobs <n|auto>      Parallel pg_restore workers for custom/directory dumps (default: auto)
+  --keep-owners        Keep the dump's owners and grants, creating missing roles (NOLOGIN)
+  --globals <file>     pg_dumpall --globals-only file (local or S3 key) with role definitions
+  --subset <file>      Restore only the slice of data described by a subset rules file
+  --masking-rules <file>  Masking rules to apply (default: MASKING_RULES_DIR/<service>.json)
+  --no-mask            Skip masking (refused for prod backups)
+  --hooks <file>       Hooks to run (default: HOOKS_DIR/<service>.json)
+  --no-hooks           Run no hooks
+  --verify-spec <file>  Verification checks to run (default: VERIFY_SPECS_DIR/<service>.json)
+  --skip-verify        Do not run the verification checks
+  --save-template      Save the restored database as <target>_template for fast resets
+  -y, --yes            Answer yes to all confirmations
+
+List options:
+  --profile, --env, --service as above
+  --since <when>       Only backups modified after a date (2024-01-15) or age (7d, 12h, 2w)
+  --until <when>       Only backups modified before a date or age
+  --min-size <size>    Only backups at least this large (e.g. 500MB)
+  --limit <n>          Show at most n entries (newest first)
+  --json               Print JSON instead of a table
+
+Cache options:
+  --json               Print cache entries as JSON (cache list)
+  --max-size <size>    Evict least recently used backups until the cache fits (cache prune)
+  --older-than <when>  Remove backups not used since a date or age, e.g. 30d (cache prune)
+
+Inspect options:
+  --profile, --env     AWS profile and environment when <backup> is an S3 key
+  --json               Print the report as JSON
+
+Diff options:
+  --profile, --env     AWS profile and environment when a backup is an S3 key
+  --service <name>     Take backups from this service: latest | previous | backup filename
+  --json               Print the differences as JSON
+
+Rollback and reset options:
+  -y, --yes            Do not ask before replacing the database
+
+Templates options:
+  --json               Print templates as JSON (templates list)
+
+Subset options:
+  --target <db>        Database to create with the slice
+  --subset <file>      Subset rules (tables with where/percent/limit, fullTables)
+  -y, --yes            Overwrite --target without asking
+
+History options:
+  --limit <n>          Show at most n runs (newest first)
+  --json               Print runs as JSON
+
+Rerun options:
+  --latest             Restore the newest backup of the same service instead of the one used then
+  Restore options given here override the recorded ones (e.g. --target, --dbeaver skip)
+
+Common options:
+  -h, --help           Show this help
+
+Examples:
+  db-restore list --profile dev --env stage --service billing --limit 1 --json
+  db-restore inspect billing/billing-2024-01-15.dump --profile prod --env prod
+  db-restore diff previous latest --profile prod --env prod --service billing
+  db-restore restore --source cloud --profile dev --env stage --service billing \\
+    --backup latest --target billing_copy --mode replace --yes
+  db-restore restore --file ./dump.sql.gz --target local_copy --mode new --yes
+  db-restore restore --file ./dump.sql.gz --target local_copy --mode replace --snapshot dump --yes
+  db-restore rollback local_copy
+  db-restore restore --file ./shop.dump --target shop_test --mode replace --save-template --yes
+  db-restore reset shop_test --yes
+  db-restore rerun last --latest
+  db-restore subset stage_billing --target billing_dev --subset ./billing-subset.json
+  db-restore restore --file ./shop.dump --target orders_only --mode new --table public.orders --yes
+`;
+
+async function main(argv) {
+    const { command, args, options } = CliArgs.parse(argv);
+
+    if (options.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    switch (command) {
+        case 'restore':
+            await new RestoreCLI(options).run();
+            break;
+
+        case 'list':
+            await new RestoreCLI(options).runList(args[0]);
+            break;
+
+        case 'cache':
+            await new RestoreCLI(options).runCache(args[0]);
+            break;
+
+        case 'inspect':
+            await new RestoreCLI(options).runInspect(args[0]);
+            break;
+
+        case 'diff':
+            await new RestoreCLI(options).runDiff(args[0], args[1]);
+            break;
+
+        case 'rollback':
+            await new RestoreCLI(options).runRollback(args[0]);
+            break;
+
+        case 'reset':
+            await new RestoreCLI(options).runReset(args[0]);
+            break;
+
+        case 'templates':
+            await new RestoreCLI(options).runTemplates(args[0], args[1]);
+            break;
+
+        case 'subset':
+            await new RestoreCLI(options).runSubset(args[0]);
+            break;
+
+        case 'history':
+            await new RestoreCLI(options).runHistory();
+            break;
+
+        case 'rerun':
+            await new RestoreCLI(options).runRerun(args[0]);
+            break;
+
+        default:
+            console.error(`❌ Unknown command: ${command}`);
+            console.log(USAGE);
+            process.exitCode = 1;
+    }
+}
+
 if (require.main === module) {
-  const manager = new RestoreCLI();
-  manager.run();
+    main(process.argv.slice(2)).catch((error) => {
+        console.error(`❌ Error: ${error.message}`);
+        process.exit(1);
+    });
 }
+
+module.exports = main;
@@ -0,0 +1,265 @@
+// Reads the header and table of contents of pg_dump custom (-Fc) and directory (-Fd) archives
+// directly, mirroring ReadHead/ReadToc in pg_backup_archiver.c, so backups can be examined
+// without PostgreSQL client tools and without restoring them
+const fs = require('fs');
+const path = require('path');
+
+const FORMATS = { 1: 'custom', 3: 'tar', 4: 'null', 5: 'directory' };
+const COMPRESSION_ALGORITHMS = ['none', 'gzip', 'lz4', 'zstd'];
+
+// Data offset flags written after each custom-format TOC entry
+const K_OFFSET_POS_SET = 2;
+
+const CHUNK_SIZE = 1024 * 1024;
+
+// archive version 1.14.0 -> 0x010e00, comparable with <
+function archiveVersion(major, minor, revision = 0) {
+    return (major << 16) | (minor << 8) | revision;
+}
+
+// Newest layout this reader understands (pg_dump 17)
+const MAX_SUPPORTED_VERSION = archiveVersion(1, 16);
+
+// Sequential reader over a file descriptor; the TOC can be many megabytes for large schemas
+class FileReader {
+    constructor(filePath) {
+        this.fd = fs.openSync(filePath, 'r');
+        this.buffer = Buffer.alloc(0);
+        this.bufferStart = 0;
+        this.position = 0;
+        this.intSize = 4;
+        this.offSize = 8;
+        this.version = 0;
+    }
+
+    close() {
+        fs.closeSync(this.fd);
+    }
+
+    bytes(length) {
+        const end = this.position + length;
+        if (end > this.bufferStart + this.buffer.length) {
+            const size = Math.max(CHUNK_SIZE, length);
+            const chunk = Buffer.alloc(size);
+            const read = fs.readSync(this.fd, chunk, 0, size, this.position);
+            if (read < length) {
+                throw new Error('Unexpected end of archive while reading the table of contents');
+            }
+            this.buffer = chunk.subarray(0, read);
+            this.bufferStart = this.position;
+        }
+        const offset = this.position - this.bufferStart;
+        this.position = end;
+        return this.buffer.subarray(offset, offset + length);
+    }
+
+    byte() {
+        return this.bytes(1)[0];
+    }
+
+    // Sign byte followed by intSize little-endian bytes
+    int() {
+        const negative = this.version > archiveVersion(1, 0) ? this.byte() !== 0 : false;
+        const bytes = this.bytes(this.intSize);
+        let value = 0;
+        for (let i = bytes.length - 1; i >= 0; i--) {
+            value = value * 256 + bytes[i];
+        }
+        return negative ? -value : value;
+    }
+
+    // Length-prefixed string; a negative length means NULL
+    string() {
+        const length = this.int();
+        return length < 0 ? null : this.bytes(length).toString('utf8');
+    }
+
+    // Flag byte followed by offSize little-endian bytes
+    offset() {
+        const flag = this.byte();
+        const bytes = this.bytes(this.offSize);
+        let value = 0;
+        for (let i = bytes.length - 1; i >= 0; i--) {
+            value = value * 256 + bytes[i];
+        }
+        return { flag, value };
+    }
+}
+
+class ArchiveReader {
+    // Read a custom-format file or a directory-format dump (its toc.dat)
+    static read(dumpPath) {
+        const directory = fs.statSync(dumpPath).isDirectory();
+        const tocPath = directory ? path.join(dumpPath, 'toc.dat') : dumpPath;
+        if (!fs.existsSync(tocPath)) {
+            throw new Error(`${dumpPath} is a directory but has no toc.dat; not a pg_dump directory-format dump`);
+        }
+
+        const reader = new FileReader(tocPath);
+        try {
+            const header = ArchiveReader.readHeader(reader);
+            const entries = ArchiveReader.readToc(reader, header, directory);
+
+            if (directory) {
+                for (const entry of entries) {
+                    entry.dataSize = entry.dataFile ? ArchiveReader.dataFileSize(dumpPath, entry.dataFile) : null;
+                }
+            } else {
+                ArchiveReader.assignDataSizes(entries, fs.statSync(tocPath).size);
+            }
+
+            return { header, entries };
+        } finally {
+            reader.close();
+        }
+    }
+
+    // Only the header (versions, format, compression), without reading the TOC
+    static readHeaderOnly(dumpPath) {
+        const tocPath = fs.statSync(dumpPath).isDirectory() ? path.join(dumpPath, 'toc.dat') : dumpPath;
+        const reader = new FileReader(tocPath);
+        try {
+            return ArchiveReader.readHeader(reader);
+        } finally {
+            reader.close();
+        }
+    }
+
+    static readHeader(reader) {
+        if (reader.bytes(5).toString('latin1') !== 'PGDMP') {
+            throw new Error('Not a pg_dump archive (missing PGDMP header)');
+        }
+
+        const major = reader.byte();
+        const minor = reader.byte();
+        const revision = major > 1 || minor > 0 ? reader.byte() : 0;
+        reader.version = archiveVersion(major, minor, revision);
+        const version = `${major}.${minor}-${revision}`;
+
+        if (reader.version > MAX_SUPPORTED_VERSION) {
+            throw new Error(`Archive version ${version} is newer than this tool understands (up to 1.16, pg_dump 17)`);
+        }
+
+        reader.intSize = reader.byte();
+        if (reader.version >= archiveVersion(1, 7)) {
+            reader.offSize = reader.byte();
+        }
+        const format = FORMATS[reader.byte()] || 'unknown';
+
+        let compression = 'none';
+        if (reader.version >= archiveVersion(1, 15)) {
+            compression = COMPRESSION_ALGORITHMS[reader.byte()] || 'unknown';
+        } else if (reader.version >= archiveVersion(1, 2)) {
+            // Older archives store a zlib level: -1 is the default level, 0 is uncompressed
+            const level = reader.version >= archiveVersion(1, 4) ? reader.int() : reader.byte();
+            compression = level === 0 ? 'none' : 'gzip';
+        }
+
+        let createdAt = null;
+        let dbName = null;
+        if (reader.version >= archiveVersion(1, 4)) {
+            const [sec, min, hour, mday, mon, year] = [reader.int(), reader.int(), reader.int(), reader.int(), reader.int(), reader.int()];
+            reader.int(); // isdst
+            // struct tm in the dumping machine's local time
+            createdAt = new Date(1900 + year, mon, mday, hour, min, sec);
+            dbName = reader.string();
+        }
+
+        let serverVersion = null;
+        let dumpVersion = null;
+        if (reader.version >= archiveVersion(1, 10)) {
+            serverVersion = reader.string();
+            dumpVersion = reader.string();
+        }
+
+        return {
+            version,
+            versionNumber: reader.version,
+            format,
+            compression,
+            intSize: reader.intSize,
+            offSize: reader.offSize,
+            createdAt,
+            dbName,
+            serverVersion,
+            dumpVersion
+        };
+    }
+
+    static readToc(reader, header, directory) {
+        const v = reader.version;
+        const count = reader.int();
+        const entries = [];
+
+        for (let i = 0; i < count; i++) {
+            const entry = { id: reader.int(), hadDumper: reader.int() !== 0 };
+            entry.tableoid = v >= archiveVersion(1, 8) ? reader.string() : null;
+            entry.oid = reader.string();
+            entry.tag = reader.string();
+            entry.desc = reader.string();
+            entry.section = v >= archiveVersion(1, 11) ? reader.int() : null;
+            entry.defn = reader.string();
+            entry.dropStmt = reader.string();
+            entry.copyStmt = v >= archiveVersion(1, 3) ? reader.string() : null;
+            entry.namespace = v >= archiveVersion(1, 6) ? reader.string() : null;
+            entry.tablespace = v >= archiveVersion(1, 10) ? reader.string() : null;
+            entry.tableam = v >= archiveVersion(1, 14) ? reader.string() : null;
+            entry.relkind = v >= archiveVersion(1, 16) ? reader.int() : null;
+            entry.owner = reader.string();
+            if (v >= archiveVersion(1, 9)) {
+                reader.string(); // "WITH OIDS" flag, always false since PostgreSQL 12
+            }
+
+            entry.dependencies = [];
+            if (v >= archiveVersion(1, 5)) {
+                for (let dep = reader.string(); dep !== null; dep = reader.string()) {
+                    entry.dependencies.push(parseInt(dep));
+                }
+            }
+
+            // Format-specific trailer: a data offset (custom) or a data file name (directory)
+            if (header.format === 'custom') {
+                const { flag, value } = reader.offset();
+                entry.dataOffset = flag === K_OFFSET_POS_SET ? value : null;
+                if (v < archiveVersion(1, 7)) {
+                    reader.int();
+                }
+            } else if (directory) {
+                entry.dataFile = reader.string() || null;
+            }
+
+            entries.push(entry);
+        }
+
+        return entries;
+    }
+
+    // Custom format stores data blocks back to back, so each block's size is the gap to the next.
+    // Archives written to a pipe have no offsets and their sizes stay unknown (null).
+    static assignDataSizes(entries, fileSize) {
+        const withData = entries
+            .filter(entry => entry.dataOffset !== null && entry.dataOffset !== undefined)
+            .sort((a, b) => a.dataOffset - b.dataOffset);
+
+        entries.forEach(entry => { entry.dataSize = null; });
+        withData.forEach((entry, index) => {
+            const end = index + 1 < withData.length ? withData[index + 1].dataOffset : fileSize;
+            entry.dataSize = end - entry.dataOffset;
+        });
+    }
+
+    // Directory dumps keep each table in <dumpId>.dat, compressed with a matching suffix
+    static dataFileSize(directory, dataFile) {
+        for (const suffix of ['', '.gz', '.lz4', '.zst']) {
+            const filePath = path.join(directory, dataFile + suffix);
+            if (fs.existsSync(filePath)) {
+                return fs.statSync(filePath).size;
+            }
+        }
+        return null;
+    }
+}
+
+ArchiveReader.archiveVersion = archiveVersion;
+
+module.exports = ArchiveReader;
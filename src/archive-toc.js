@@ -0,0 +1,244 @@
+// Table of contents of a custom/directory archive as printed by `pg_restore -l --verbose`,
+// used to restore a subset of schemas and tables through a generated -L list file
+const fs = require('fs');
+const ProcessExecutor = require('./process-executor');
+
+// Descriptions made of several words; everything else is a single word (TABLE, INDEX, ...)
+const MULTI_WORD_DESCS = [
+    'MATERIALIZED VIEW DATA', 'PUBLICATION TABLES IN SCHEMA', 'TEXT SEARCH CONFIGURATION',
+    'TEXT SEARCH DICTIONARY', 'TEXT SEARCH TEMPLATE', 'TEXT SEARCH PARSER', 'FOREIGN DATA WRAPPER',
+    'SEQUENCE OWNED BY', 'DATABASE PROPERTIES', 'EXTENDED STATISTICS', 'PROCEDURAL LANGUAGE',
+    'PUBLICATION TABLE', 'MATERIALIZED VIEW', 'OPERATOR FAMILY', 'OPERATOR CLASS', 'FOREIGN SERVER',
+    'FOREIGN TABLE', 'CHECK CONSTRAINT', 'FK CONSTRAINT', 'EVENT TRIGGER', 'ACCESS METHOD',
+    'BLOB METADATA', 'SEQUENCE SET', 'INDEX ATTACH', 'TABLE ATTACH', 'USER MAPPING', 'LARGE OBJECT',
+    'ROW SECURITY', 'DEFAULT ACL', 'SHELL TYPE', 'TABLE DATA'
+];
+
+// Entries offered for selection
+const RELATION_DESCS = new Set(['TABLE', 'VIEW', 'MATERIALIZED VIEW', 'FOREIGN TABLE', 'SEQUENCE']);
+
+// Entries that load rows rather than define objects
+const DATA_DESCS = new Set(['TABLE DATA', 'SEQUENCE SET', 'MATERIALIZED VIEW DATA', 'BLOB', 'BLOBS', 'LARGE OBJECT']);
+
+// Database-wide entries that are not tied to any schema or table and are skipped in a partial restore
+const DATABASE_DESCS = new Set(['DATABASE', 'DATABASE PROPERTIES', 'EVENT TRIGGER', 'PUBLICATION', 'SUBSCRIPTION', 'BLOB METADATA', 'BLOB', 'BLOBS', 'LARGE OBJECT']);
+
+// "*" and "?" wildcards, everything else literal
+function globToRegExp(glob) {
+    const source = glob.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+    return new RegExp(`^${source}$`);
+}
+
+class ArchiveToc {
+    constructor(entries, header = {}) {
+        this.entries = entries;
+        this.header = header;
+        this.byId = new Map(entries.map(entry => [entry.id, entry]));
+    }
+
+    // List the archive; --verbose adds a "depends on:" line under every entry
+    static async read(filePath) {
+        const { stdout } = await ProcessExecutor.run('pg_restore', ['--list', '--verbose', filePath]);
+        return ArchiveToc.parse(stdout);
+    }
+
+    // "217; 1259 16386 TABLE public accounts postgres" (schema "-" for database-wide entries)
+    static parse(listing) {
+        const entries = [];
+        const header = {};
+        let last = null;
+
+        for (const line of listing.split(/\r?\n/)) {
+            const depends = line.match(/^;\s+depends on:\s*([\d\s]*)$/);
+            if (depends && last) {
+                last.dependencies = depends[1].trim().split(/\s+/).filter(Boolean).map(Number);
+                continue;
+            }
+
+            const created = line.match(/^; Archive created at (.*)$/);
+            if (created) {
+                header['Archive created at'] = created[1].trim();
+                continue;
+            }
+
+            const field = line.match(/^;\s+([A-Za-z][\w ]*?):\s*(.*)$/);
+            if (field) {
+                header[field[1].trim()] = field[2].trim();
+                continue;
+            }
+
+            const match = line.match(/^(\d+); (\d+) (\d+) (.*)$/);
+            if (!match) {
+                continue;
+            }
+
+            const rest = match[4];
+            const desc = MULTI_WORD_DESCS.find(candidate => rest.startsWith(`${candidate} `)) || rest.split(' ')[0];
+            const fields = rest.slice(desc.length + 1);
+            const schemaEnd = fields.indexOf(' ');
+            const schema = fields.slice(0, schemaEnd);
+            // The owner is the last word (empty for entries without one); the tag may contain spaces
+            const remainder = fields.slice(schemaEnd + 1);
+            const ownerStart = remainder.lastIndexOf(' ');
+
+            last = {
+                id: parseInt(match[1]),
+                line,
+                desc,
+                schema: schema === '-' ? '' : schema,
+                name: ownerStart === -1 ? remainder : remainder.slice(0, ownerStart),
+                owner: ownerStart === -1 ? '' : remainder.slice(ownerStart + 1),
+                dependencies: []
+            };
+            entries.push(last);
+        }
+
+        return new ArchiveToc(entries, header);
+    }
+
+    relations() {
+        return this.entries.filter(entry => RELATION_DESCS.has(entry.desc));
+    }
+
+    // Schema names with the number of relations in each, in dump order
+    schemas() {
+        const counts = new Map();
+        for (const entry of this.entries) {
+            if (entry.desc === 'SCHEMA') {
+                counts.set(entry.name, counts.get(entry.name) || 0);
+            }
+        }
+        for (const relation of this.relations()) {
+            counts.set(relation.schema, (counts.get(relation.schema) || 0) + 1);
+        }
+        return [...counts].map(([name, relations]) => ({ name, relations }));
+    }
+
+    // "name" matches the name in any schema, "schema.name" one schema; both accept * and ? wildcards
+    static matches(pattern, entry) {
+        const dot = pattern.indexOf('.');
+        if (dot === -1) {
+            return globToRegExp(pattern).test(entry.name);
+        }
+        return globToRegExp(pattern.slice(0, dot)).test(entry.schema) && globToRegExp(pattern.slice(dot + 1)).test(entry.name);
+    }
+
+    // Relations chosen by --schema/--table (all relations when neither is given), minus --exclude-table
+    resolveRelations({ schemas = [], tables = [], excludeTables = [] } = {}) {
+        const schemaPatterns = schemas.map(globToRegExp);
+
+        for (const pattern of tables) {
+            if (!this.relations().some(entry => ArchiveToc.matches(pattern, entry))) {
+                throw new Error(`No table in the dump matches --table "${pattern}"`);
+            }
+        }
+        for (const pattern of schemas) {
+            if (!this.schemas().some(schema => globToRegExp(pattern).test(schema.name))) {
+                throw new Error(`No schema in the dump matches --schema "${pattern}"`);
+            }
+        }
+
+        const selectAll = schemas.length === 0 && tables.length === 0;
+        return this.relations().filter(entry =>
+            (selectAll
+                || schemaPatterns.some(regex => regex.test(entry.schema))
+                || tables.some(pattern => ArchiveToc.matches(pattern, entry)))
+            && !excludeTables.some(pattern => ArchiveToc.matches(pattern, entry))
+        );
+    }
+
+    // Entry ids to restore for the chosen relations: everything they need (schemas, types,
+    // functions, owned sequences), and everything that only belongs to them (data, indexes,
+    // constraints, triggers, comments, grants). Foreign keys to tables left out are dropped.
+    select(relations, { excludeTables = [], excludeTableData = [] } = {}) {
+        const excluded = new Set(this.relations()
+            .filter(entry => excludeTables.some(pattern => ArchiveToc.matches(pattern, entry)))
+            .map(entry => entry.id));
+        const noData = new Set(this.relations()
+            .filter(entry => excludeTableData.some(pattern => ArchiveToc.matches(pattern, entry)))
+            .map(entry => entry.id));
+
+        const selected = new Set(relations.map(entry => entry.id));
+
+        // Sequences behind serial/identity columns and column defaults follow their table
+        const tableIds = new Set(selected);
+        for (const entry of this.entries) {
+            if (entry.desc === 'SEQUENCE' && entry.dependencies.some(id => tableIds.has(id)) && !excluded.has(entry.id)) {
+                // Identity sequences are created by ALTER TABLE and depend on the table itself
+                selected.add(entry.id);
+            } else if ((entry.desc === 'SEQUENCE OWNED BY' || entry.desc === 'DEFAULT')
+                && entry.dependencies.some(id => tableIds.has(id))) {
+                entry.dependencies
+                    .filter(id => this.byId.has(id) && this.byId.get(id).desc === 'SEQUENCE' && !excluded.has(id))
+                    .forEach(id => selected.add(id));
+            }
+        }
+
+        // Everything the selection depends on (e.g. tables behind a selected view)
+        const pending = [...selected];
+        while (pending.length > 0) {
+            const entry = this.byId.get(pending.pop());
+            for (const id of entry.dependencies) {
+                if (this.byId.has(id) && !selected.has(id) && !excluded.has(id)) {
+                    selected.add(id);
+                    pending.push(id);
+                }
+            }
+        }
+
+        // Standalone objects (functions, types, extensions, ...) of the schemas involved
+        const schemas = new Set([...selected].map(id => this.byId.get(id).schema).filter(Boolean));
+        for (const entry of this.entries) {
+            if (this.isStandalone(entry, schemas) && !entry.dependencies.some(id => excluded.has(id))) {
+                selected.add(entry.id);
+            }
+        }
+
+        // Attached entries whose dependencies are all selected; repeated because they chain
+        // (a comment on an index, a foreign key on the constraint it references)
+        let changed = true;
+        while (changed) {
+            changed = false;
+            for (const entry of this.entries) {
+                if (selected.has(entry.id) || RELATION_DESCS.has(entry.desc) || DATABASE_DESCS.has(entry.desc)
+                    || entry.dependencies.length === 0
+                    || !entry.dependencies.every(id => selected.has(id) || !this.byId.has(id))) {
+                    continue;
+                }
+                if (entry.desc === 'TABLE DATA' && entry.dependencies.some(id => noData.has(id))) {
+                    continue;
+                }
+                selected.add(entry.id);
+                changed = true;
+            }
+        }
+
+        return selected;
+    }
+
+    // Schema-level object that is not a relation and not attached to one
+    isStandalone(entry, schemas) {
+        if (entry.desc === 'SCHEMA') {
+            return schemas.has(entry.name);
+        }
+        if (entry.desc === 'EXTENSION') {
+            return true;
+        }
+        return schemas.has(entry.schema)
+            && !RELATION_DESCS.has(entry.desc)
+            && !DATA_DESCS.has(entry.desc)
+            && !DATABASE_DESCS.has(entry.desc)
+            && !entry.dependencies.some(id => this.byId.has(id) && RELATION_DESCS.has(this.byId.get(id).desc));
+    }
+
+    // pg_restore -L input: the full listing with unselected entries commented out, keeping dump order
+    writeList(selected, listPath) {
+        const lines = this.entries.map(entry => selected.has(entry.id) ? entry.line : `;${entry.line}`);
+        fs.writeFileSync(listPath, `${lines.join('\n')}\n`);
+        return listPath;
+    }
+}
+
+ArchiveToc.RELATION_DESCS = RELATION_DESCS;
+
+module.exports = ArchiveToc;
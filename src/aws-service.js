@@ -1,7 +1,12 @@
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
 const AWS = require('aws-sdk');
 const CONFIG = require('../config');
+const PlatformUtils = require('./platform-utils');
+const ProgressBar = require('./progress-bar');
+const IntegrityVerifier = require('./integrity-verifier');
 
 class AWSService {
     constructor() {
@@ -20,37 +25,421 @@ class AWSService {
         await this.s3.headBucket({ Bucket: CONFIG.s3Bucket }).promise();
     }
 
+    // listObjectsV2 returns at most 1000 entries per call, so follow the continuation tokens
+    async listAllPages(params) {
+        const pages = [];
+        let continuationToken;
+
+        do {
+            const result = await this.s3.listObjectsV2({ ...params, ContinuationToken: continuationToken }).promise();
+            pages.push(result);
+            continuationToken = result.IsTruncated ? result.NextContinuationToken : undefined;
+        } while (continuationToken);
+
+        return pages;
+    }
+
     async listServices() {
         const params = { Bucket: CONFIG.s3Bucket, Delimiter: '/', Prefix: '' };
-        const result = await this.s3.listObjectsV2(params).promise();
-        return result.CommonPrefixes.map(p => p.Prefix.replace('/', '')).sort();
+        const pages = await this.listAllPages(params);
+        return pages
+            .flatMap(page => page.CommonPrefixes || [])
+            .map(p => p.Prefix.replace('/', ''))
+            .sort();
     }
 
     async listBackupFiles(serviceName) {
         const params = { Bucket: CONFIG.s3Bucket, Prefix: `${serviceName}/` };
-        const result = await this.s3.listObjectsV2(params).promise();
-        return result.Contents
+        const pages = await this.listAllPages(params);
+        return pages
+            .flatMap(page => page.Contents || [])
             .filter(o => o.Key.endsWith('.tar.gz') || o.Key.endsWith('.tar') || o.Key.endsWith('.sql.gz'))
             .map(o => ({
                 key: o.Key,
                 filename: path.basename(o.Key),
                 lastModified: o.LastModified,
-                size: this.formatFileSize(o.Size)
+                size: this.formatFileSize(o.Size),
+                sizeBytes: o.Size
             }))
             .sort((a, b) => new Date(b.lastModified) - new Date(a.lastModified));
     }
 
-    async downloadBackup(key, destDir) {
+    // ChecksumMode returns the x-amz-checksum-* values used for verification
+    async headBackup(key) {
+        return this.s3.headObject({ Bucket: CONFIG.s3Bucket, Key: key, ChecksumMode: 'ENABLED' }).promise();
+    }
+
+    // Open the object as a readable stream for restores that never touch disk; IfMatch pins the version
+    async openBackupStream(key) {
+        const head = await this.headBackup(key);
+        const stream = this.s3.getObject({ Bucket: CONFIG.s3Bucket, Key: key, IfMatch: head.ETag }).createReadStream();
+        return { stream, head };
+    }
+
+    // Stream the object to disk through a .partial file that survives interruptions
+    async downloadBackup(key, destDir, { verify = true, head = null } = {}) {
         const filename = path.basename(key);
         const local = path.join(destDir, filename);
         if (!fs.existsSync(destDir)) {
             fs.mkdirSync(destDir, { recursive: true });
         }
-        const data = await this.s3.getObject({ Bucket: CONFIG.s3Bucket, Key: key }).promise();
-        fs.writeFileSync(local, data.Body);
+
+        if (!head) {
+            head = await this.headBackup(key);
+        }
+        const totalSize = head.ContentLength;
+        const partialPath = this.getPartialPath(key);
+
+        console.log(`\n📥 Downloading ${filename} (${this.formatFileSize(totalSize)})...`);
+        if (totalSize >= CONFIG.app.multipartThreshold && CONFIG.app.downloadConcurrency > 1) {
+            await this.downloadMultipart(key, head.ETag, totalSize, partialPath);
+        } else {
+            this.discardMultipartPartial(partialPath);
+            await this.downloadToPartial(key, head.ETag, totalSize, partialPath);
+        }
+
+        const downloadedSize = fs.statSync(partialPath).size;
+        if (downloadedSize !== totalSize) {
+            throw new Error(`Downloaded size mismatch for ${filename}: expected ${totalSize} bytes, got ${downloadedSize} bytes`);
+        }
+
+        PlatformUtils.moveFile(partialPath, local);
+        fs.rmSync(this.getPartialEtagPath(partialPath), { force: true });
+        console.log(`✅ Downloaded ${filename}`);
+
+        if (verify) {
+            await this.verifyDownload(key, local, head);
+        }
+
         return local;
     }
 
+    // Check a downloaded file against the .sha256 sidecar, x-amz-checksum-* headers and the ETag
+    async verifyDownload(key, localPath, head) {
+        const expectations = await this.getChecksumExpectations(key, head);
+        const filename = path.basename(localPath);
+
+        if (expectations.length === 0) {
+            console.warn(`⚠️  No checksum available for ${filename} (no .sha256 sidecar, S3 checksum or MD5 ETag), skipping verification`);
+            return [];
+        }
+
+        console.log(`🔐 Verifying ${filename} against: ${expectations.map(e => e.source).join(', ')}`);
+        const results = await IntegrityVerifier.verifyFile(localPath, expectations);
+
+        for (const result of results) {
+            if (result.status === 'passed') {
+                console.log(`   ✅ ${result.source} (${result.algorithm}) matches`);
+            } else if (result.status === 'inconclusive') {
+                console.log(`   ⚠️  ${result.source}: multipart upload part size could not be determined, check inconclusive`);
+            } else {
+                console.log(`   ❌ ${result.source} (${result.algorithm}) mismatch`);
+            }
+        }
+
+        const failed = results.filter(result => result.status === 'failed');
+        if (failed.length > 0) {
+            // Never leave a corrupted file behind to be picked up again
+            fs.unlinkSync(localPath);
+            const details = failed
+                .map(result => `${result.source}: expected ${result.expected}, got ${result.actual}`)
+                .join('; ');
+            throw new Error(`Integrity check failed for ${filename} (${details}). The corrupted download was deleted; run the restore again to re-download it.`);
+        }
+
+        return results;
+    }
+
+    // Manifest written at dump time: "<key>.manifest.json", else manifest.json in the backup's folder.
+    // Returns { key, text } or null when there is none.
+    async getBackupManifest(key) {
+        const folder = path.posix.dirname(key);
+        const candidates = [`${key}.manifest.json`, folder === '.' ? 'manifest.json' : `${folder}/manifest.json`];
+        for (const candidate of candidates) {
+            try {
+                const object = await this.s3.getObject({ Bucket: CONFIG.s3Bucket, Key: candidate }).promise();
+                return { key: candidate, text: object.Body.toString('utf8') };
+            } catch (error) {
+                if (error.code !== 'NoSuchKey' && error.code !== 'NotFound' && error.code !== 'AccessDenied') {
+                    console.warn(`Warning: Could not read manifest ${candidate}: ${error.message}`);
+                }
+            }
+        }
+        return null;
+    }
+
+    async getChecksumExpectations(key, head) {
+        const expectations = [];
+
+        // Sidecar written at backup time: "<sha256>  <filename>" (sha256sum format)
+        try {
+            const sidecar = await this.s3.getObject({ Bucket: CONFIG.s3Bucket, Key: `${key}.sha256` }).promise();
+            const match = sidecar.Body.toString('utf8').match(/\b[0-9a-f]{64}\b/i);
+            if (match) {
+                expectations.push({ algorithm: 'sha256', source: '.sha256 sidecar', expected: match[0], encoding: 'hex' });
+            }
+        } catch (error) {
+            if (error.code !== 'NoSuchKey' && error.code !== 'NotFound' && error.code !== 'AccessDenied') {
+                console.warn(`Warning: Could not read checksum sidecar: ${error.message}`);
+            }
+        }
+
+        // Composite checksums of multipart uploads ("...-N") cannot be recomputed without the part layout
+        const checksumFields = {
+            ChecksumSHA256: 'sha256',
+            ChecksumSHA1: 'sha1',
+            ChecksumCRC32C: 'crc32c',
+            ChecksumCRC32: 'crc32'
+        };
+        for (const [field, algorithm] of Object.entries(checksumFields)) {
+            const value = head[field];
+            if (value && !value.includes('-')) {
+                expectations.push({ algorithm, source: `x-amz-checksum-${algorithm}`, expected: value, encoding: 'base64' });
+            }
+        }
+
+        const etagExpectation = IntegrityVerifier.expectationFromEtag(head.ETag, head.ServerSideEncryption);
+        if (etagExpectation) {
+            expectations.push(etagExpectation);
+        }
+
+        return expectations;
+    }
+
+    // The object was replaced while it was being downloaded; its parts cannot be combined
+    backupChangedError(key) {
+        return new Error(`Backup ${key} changed in S3 during the download. The partial download was discarded; run the restore again to download the new version.`);
+    }
+
+    // Partial downloads live outside the temp dir, which is wiped after every run
+    getPartialPath(key) {
+        const partialDir = CONFIG.app.partialDir;
+        if (!fs.existsSync(partialDir)) {
+            fs.mkdirSync(partialDir, { recursive: true });
+        }
+        const keyHash = crypto.createHash('sha1').update(`${CONFIG.s3Bucket}/${key}`).digest('hex').substring(0, 12);
+        return path.join(partialDir, `${path.basename(key)}.${keyHash}.partial`);
+    }
+
+    // ETag of the object version a sequential .partial was written from, kept next to it
+    getPartialEtagPath(partialPath) {
+        return `${partialPath}.etag`;
+    }
+
+    readPartialEtag(partialPath) {
+        try {
+            return fs.readFileSync(this.getPartialEtagPath(partialPath), 'utf8');
+        } catch (error) {
+            return null;
+        }
+    }
+
+    async downloadToPartial(key, etag, totalSize, partialPath) {
+        const maxAttempts = CONFIG.app.maxRetries + 1;
+
+        // Bytes of another version must never be completed with this one's, even when the sizes match
+        if (fs.existsSync(partialPath) && this.readPartialEtag(partialPath) !== etag) {
+            console.warn('⚠️  Backup changed in S3 since the partial download, starting over');
+            fs.unlinkSync(partialPath);
+        }
+        fs.writeFileSync(this.getPartialEtagPath(partialPath), etag);
+
+        for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+            let start = fs.existsSync(partialPath) ? fs.statSync(partialPath).size : 0;
+
+            if (start > totalSize) {
+                fs.unlinkSync(partialPath);
+                start = 0;
+            }
+            if (start === totalSize) {
+                return;
+            }
+            if (start > 0) {
+                console.log(`↩️  Resuming download from ${this.formatFileSize(start)}`);
+            }
+
+            const progress = new ProgressBar('📥', totalSize, start);
+
+            try {
+                // IfMatch makes S3 reject the request if the object changes during the download
+                const params = { Bucket: CONFIG.s3Bucket, Key: key, IfMatch: etag };
+                if (start > 0) {
+                    params.Range = `bytes=${start}-`;
+                }
+
+                const source = this.s3.getObject(params).createReadStream();
+                source.on('data', chunk => progress.tick(chunk.length));
+
+                await pipeline(source, fs.createWriteStream(partialPath, { flags: start > 0 ? 'a' : 'w' }));
+                progress.finish();
+                return;
+
+            } catch (error) {
+                progress.finish();
+
+                if (error.code === 'PreconditionFailed' || error.statusCode === 412) {
+                    this.discardMultipartPartial(partialPath, true);
+                    throw this.backupChangedError(key);
+                } else if (attempt === maxAttempts) {
+                    throw new Error(`Download failed after ${maxAttempts} attempts: ${error.message}`);
+                } else {
+                    console.warn(`⚠️  Download interrupted (${error.message}), retrying (${attempt}/${CONFIG.app.maxRetries})...`);
+                    await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+                }
+            }
+        }
+
+        throw new Error(`Download did not complete after ${maxAttempts} attempts`);
+    }
+
+    // Download byte ranges concurrently, writing each part at its offset in the .partial file.
+    // Completed parts are recorded in a state file next to it so an interrupted download resumes.
+    async downloadMultipart(key, etag, totalSize, partialPath) {
+        const partSize = CONFIG.app.downloadPartSize;
+        const partCount = Math.ceil(totalSize / partSize);
+        const state = this.loadMultipartState(partialPath, etag, totalSize, partSize);
+        const statePath = `${partialPath}.json`;
+
+        if (!fs.existsSync(partialPath)) {
+            fs.closeSync(fs.openSync(partialPath, 'w'));
+        }
+        // From here on the .partial has gaps: record that before the first part is written, so an
+        // interruption is never mistaken for a sequential .partial on the next run
+        fs.writeFileSync(statePath, JSON.stringify(state));
+        fs.rmSync(this.getPartialEtagPath(partialPath), { force: true });
+
+        const pending = [];
+        for (let index = 0; index < partCount; index++) {
+            if (!state.completed.includes(index)) {
+                pending.push(index);
+            }
+        }
+
+        const partLength = index => Math.min(partSize, totalSize - index * partSize);
+        const completedBytes = state.completed.reduce((sum, index) => sum + partLength(index), 0);
+
+        if (state.completed.length > 0) {
+            console.log(`↩️  Resuming download: ${state.completed.length}/${partCount} parts already downloaded`);
+        }
+
+        const concurrency = Math.min(CONFIG.app.downloadConcurrency, pending.length);
+        console.log(`⚡ Downloading ${pending.length} part(s) of ${this.formatFileSize(partSize)} with ${concurrency} parallel connection(s)`);
+
+        const progress = new ProgressBar('📥', totalSize, completedBytes);
+
+        const downloadPart = async (index) => {
+            const start = index * partSize;
+            const end = start + partLength(index) - 1;
+
+            for (let attempt = 1; attempt <= CONFIG.app.maxRetries + 1; attempt++) {
+                let attemptBytes = 0;
+                try {
+                    const source = this.s3.getObject({
+                        Bucket: CONFIG.s3Bucket,
+                        Key: key,
+                        IfMatch: etag,
+                        Range: `bytes=${start}-${end}`
+                    }).createReadStream();
+
+                    source.on('data', chunk => {
+                        attemptBytes += chunk.length;
+                        progress.tick(chunk.length);
+                    });
+
+                    await pipeline(source, fs.createWriteStream(partialPath, { flags: 'r+', start }));
+
+                    if (attemptBytes !== end - start + 1) {
+                        throw new Error(`part ${index + 1} returned ${attemptBytes} bytes, expected ${end - start + 1}`);
+                    }
+
+                    state.completed.push(index);
+                    fs.writeFileSync(statePath, JSON.stringify(state));
+                    return;
+
+                } catch (error) {
+                    progress.update(progress.current - attemptBytes);
+
+                    if (error.code === 'PreconditionFailed' || error.statusCode === 412) {
+                        throw error;
+                    }
+                    if (attempt > CONFIG.app.maxRetries) {
+                        throw new Error(`Part ${index + 1}/${partCount} failed after ${attempt} attempts: ${error.message}`);
+                    }
+                    await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+                }
+            }
+        };
+
+        // Fixed pool of workers pulling part indices from the shared queue. After the first
+        // failure no new parts start, but in-flight parts finish and stay recorded for the next run.
+        let failure = null;
+        const worker = async () => {
+            while (pending.length > 0 && !failure) {
+                const index = pending.shift();
+                try {
+                    await downloadPart(index);
+                } catch (error) {
+                    failure = failure || error;
+                }
+            }
+        };
+
+        await Promise.all(Array.from({ length: concurrency }, worker));
+        progress.finish();
+
+        if (failure) {
+            if (failure.code === 'PreconditionFailed' || failure.statusCode === 412) {
+                // Every further range request would fail the same way against the ETag we started with
+                this.discardMultipartPartial(partialPath, true);
+                throw this.backupChangedError(key);
+            }
+            throw new Error(`Download failed: ${failure.message}`);
+        }
+
+        fs.unlinkSync(statePath);
+    }
+
+    loadMultipartState(partialPath, etag, totalSize, partSize) {
+        const statePath = `${partialPath}.json`;
+        const fresh = { etag, totalSize, partSize, completed: [] };
+
+        if (fs.existsSync(statePath)) {
+            try {
+                const state = JSON.parse(fs.readFileSync(statePath, 'utf8'));
+                if (state.etag === etag && state.totalSize === totalSize && state.partSize === partSize) {
+                    return state;
+                }
+            } catch (error) {
+                // Unreadable state file, start over below
+            }
+            this.discardMultipartPartial(partialPath, true);
+            return fresh;
+        }
+
+        // A sequential .partial of this version already covers its leading parts; one of another
+        // version starts over (parallel downloads always leave a state file)
+        if (fs.existsSync(partialPath) && this.readPartialEtag(partialPath) !== etag) {
+            fs.unlinkSync(partialPath);
+        } else if (fs.existsSync(partialPath)) {
+            const existingSize = Math.min(fs.statSync(partialPath).size, totalSize);
+            for (let index = 0; (index + 1) * partSize <= existingSize; index++) {
+                fresh.completed.push(index);
+            }
+        }
+
+        return fresh;
+    }
+
+    // A multipart .partial has gaps, so it cannot be resumed sequentially
+    discardMultipartPartial(partialPath, force = false) {
+        const statePath = `${partialPath}.json`;
+        if (force || fs.existsSync(statePath)) {
+            if (fs.existsSync(partialPath)) fs.unlinkSync(partialPath);
+            if (fs.existsSync(statePath)) fs.unlinkSync(statePath);
+            fs.rmSync(this.getPartialEtagPath(partialPath), { force: true });
+        }
+    }
+
     formatFileSize(bytes) {
         const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
         if (bytes === 0) return '0 Bytes';
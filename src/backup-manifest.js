@@ -0,0 +1,91 @@
+// Manifest written next to a backup at dump time, with the row count and optionally a content hash
+// of every table. Comparing a fresh restore against it catches truncated or partial restores that
+// still have all their tables.
+const PostgresClient = require('./postgres-client');
+
+// Row text depends on these settings, so hashes are computed under fixed ones on both sides
+const HASH_SETTINGS = "SET TimeZone = 'UTC'; SET DateStyle = 'ISO, YMD'; SET IntervalStyle = 'postgres'; SET extra_float_digits = 1;";
+
+// "schema.table" or "table" (public schema)
+function parseTable(name, source) {
+    const parts = String(name).split('.');
+    if (parts.length > 2 || parts.some(part => part === '')) {
+        throw new Error(`Manifest ${source}: table "${name}" should be [schema.]table`);
+    }
+    return parts.length === 1 ? { schema: 'public', table: parts[0] } : { schema: parts[0], table: parts[1] };
+}
+
+class BackupManifest {
+    constructor(pg) {
+        this.pg = pg;
+    }
+
+    // Manifest from JSON of the form { "backup": "billing-2024-01-15.tar.gz",
+    // "tables": { "public.users": { "rows": 1200, "hash": "<md5>" }, "orders": { "rows": 560 } } }.
+    // source names the file or S3 key in errors.
+    static parse(text, source) {
+        let content;
+        try {
+            content = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Could not read manifest ${source}: ${error.message}`);
+        }
+        if (!content || typeof content.tables !== 'object' || content.tables === null || Array.isArray(content.tables)) {
+            throw new Error(`Manifest ${source} needs a "tables" object mapping tables to { rows, hash }`);
+        }
+
+        const tables = Object.entries(content.tables).map(([name, spec]) => {
+            const { rows = null, hash = null } = spec || {};
+            if (rows !== null && !(Number.isInteger(rows) && rows >= 0)) {
+                throw new Error(`Manifest ${source}: "rows" of ${name} must be a non-negative integer`);
+            }
+            if (hash !== null && !/^[0-9a-f]{32}$/i.test(String(hash))) {
+                throw new Error(`Manifest ${source}: "hash" of ${name} must be an MD5 hex digest`);
+            }
+            return { ...parseTable(name, source), rows, hash: hash && hash.toLowerCase() };
+        });
+
+        return { source, backup: content.backup || null, tables };
+    }
+
+    // The hash of a table's contents: MD5 over the sorted MD5s of its rows' text, under HASH_SETTINGS
+    static hashQuery(schema, table) {
+        return `${HASH_SETTINGS} SELECT md5(coalesce(string_agg(h, '' ORDER BY h), '')) FROM (SELECT md5(t::text) AS h FROM ${PostgresClient.qualifiedName(schema, table)} t) hashed`;
+    }
+
+    // Compare dbName with the manifest. Returns [{ table, expectedRows, rows, expectedHash, hash, status, error }]
+    // with status "match", "mismatch" or "missing"
+    async compare(dbName, manifest) {
+        const results = [];
+        for (const { schema, table, rows: expectedRows, hash: expectedHash } of manifest.tables) {
+            const result = { table: `${schema}.${table}`, expectedRows, rows: null, expectedHash, hash: null, status: 'match', error: null };
+            results.push(result);
+
+            const exists = await this.pg.queryValue(dbName, `SELECT 1 WHERE to_regclass(${PostgresClient.quoteLiteral(PostgresClient.qualifiedName(schema, table))}) IS NOT NULL`) === '1';
+            if (!exists) {
+                result.status = 'missing';
+                continue;
+            }
+
+            try {
+                result.rows = parseInt(await this.pg.queryValue(dbName, `SELECT count(*) FROM ${PostgresClient.qualifiedName(schema, table)}`));
+                if (expectedHash) {
+                    result.hash = await this.pg.queryValue(dbName, BackupManifest.hashQuery(schema, table));
+                }
+            } catch (error) {
+                result.status = 'mismatch';
+                result.error = (error.stderr || error.message).trim().split('\n').pop();
+                continue;
+            }
+
+            if ((expectedRows !== null && result.rows !== expectedRows) || (expectedHash && result.hash !== expectedHash)) {
+                result.status = 'mismatch';
+            }
+        }
+        return results;
+    }
+}
+
+BackupManifest.HASH_SETTINGS = HASH_SETTINGS;
+
+module.exports = BackupManifest;
@@ -0,0 +1,155 @@
+// Command-line argument parsing for scripted (non-interactive) usage
+
+// Flags that never take a value, so the next token is not consumed
+const BOOLEAN_FLAGS = new Set([
+    'yes',
+    'help',
+    'json',
+    'stream',
+    'keep-owners',
+    'save-template',
+    'latest',
+    'mask',
+    'skip-verify'
+]);
+
+// Values accepted by boolean flags given as --flag=value
+const BOOLEAN_VALUES = new Map([['true', true], ['1', true], ['false', false], ['0', false]]);
+
+// Single-letter aliases for commonly used flags
+const ALIASES = {
+    y: 'yes',
+    h: 'help',
+    f: 'file',
+    t: 'target'
+};
+
+class CliArgs {
+    static parse(argv) {
+        const args = [];
+        const options = {};
+        let command = null;
+
+        for (let i = 0; i < argv.length; i++) {
+            const token = argv[i];
+
+            if (token === '--') {
+                args.push(...argv.slice(i + 1));
+                break;
+            }
+
+            if (token.startsWith('--') || /^-[a-zA-Z]$/.test(token)) {
+                let name = token.startsWith('--') ? token.slice(2) : ALIASES[token.slice(1)];
+                let value;
+
+                if (!name) {
+                    throw new Error(`Unknown option: ${token}`);
+                }
+
+                // Support --flag=value; boolean flags take true/false/1/0 so --yes=false cannot turn prompts off
+                const eqIndex = name.indexOf('=');
+                if (eqIndex !== -1) {
+                    value = name.slice(eqIndex + 1);
+                    name = name.slice(0, eqIndex);
+                    if (BOOLEAN_FLAGS.has(name)) {
+                        const flag = BOOLEAN_VALUES.get(value.toLowerCase());
+                        if (flag === undefined) {
+                            throw new Error(`Invalid --${name} "${value}". Expected true, false, 1 or 0`);
+                        }
+                        value = flag;
+                    }
+                }
+
+                // Support --no-flag for disabling boolean behaviour
+                if (value === undefined && name.startsWith('no-')) {
+                    this.setOption(options, this.toCamelCase(name.slice(3)), false);
+                    continue;
+                }
+
+                if (value === undefined) {
+                    const next = argv[i + 1];
+                    if (BOOLEAN_FLAGS.has(name)) {
+                        value = true;
+                    } else if (next !== undefined && !next.startsWith('-')) {
+                        value = next;
+                        i++;
+                    } else {
+                        // e.g. "--target --yes": taking --yes as the name would be worse than stopping
+                        throw new Error(`Option ${token} needs a value`);
+                    }
+                }
+
+                this.setOption(options, this.toCamelCase(name), value);
+                continue;
+            }
+
+            if (command === null) {
+                command = token;
+            } else {
+                args.push(token);
+            }
+        }
+
+        return { command: command || 'restore', args, options };
+    }
+
+    // Repeated flags accumulate into an array (e.g. --table a --table b)
+    static setOption(options, key, value) {
+        if (options[key] === undefined) {
+            options[key] = value;
+        } else if (Array.isArray(options[key])) {
+            options[key].push(value);
+        } else {
+            options[key] = [options[key], value];
+        }
+    }
+
+    static toCamelCase(name) {
+        return name.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+    }
+
+    // Parse a non-negative integer option such as --limit 10
+    static parseInteger(value, flagName) {
+        const parsed = Number(value);
+        if (!Number.isInteger(parsed) || parsed < 0) {
+            throw new Error(`Invalid ${flagName} "${value}". Expected a non-negative integer`);
+        }
+        return parsed;
+    }
+
+    // Parse a size such as 500, 10KB, 1.5GB into bytes
+    static parseSize(value, flagName) {
+        const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*(B|KB|MB|GB|TB)?$/i);
+        if (!match) {
+            throw new Error(`Invalid ${flagName} "${value}". Expected a size such as 500MB or 2GB`);
+        }
+        const units = { B: 0, KB: 1, MB: 2, GB: 3, TB: 4 };
+        const unit = (match[2] || 'B').toUpperCase();
+        return Math.round(parseFloat(match[1]) * Math.pow(1024, units[unit]));
+    }
+
+    // Parse a duration (12h, 7d, 2w, or 0 for none) into milliseconds
+    static parseDuration(value, flagName) {
+        const match = String(value).trim().match(/^(\d+)\s*(h|d|w)?$/i);
+        if (!match || (!match[2] && parseInt(match[1]) !== 0)) {
+            throw new Error(`Invalid ${flagName} "${value}". Expected a duration such as 12h, 7d or 2w (0 for none)`);
+        }
+        const hours = { h: 1, d: 24, w: 24 * 7 }[(match[2] || 'h').toLowerCase()];
+        return parseInt(match[1]) * hours * 60 * 60 * 1000;
+    }
+
+    // Parse an ISO date (2024-01-15) or a relative age (12h, 7d, 2w) into a Date
+    static parseDate(value, flagName) {
+        if (/^\d+\s*(h|d|w)$/i.test(String(value).trim())) {
+            return new Date(Date.now() - CliArgs.parseDuration(value, flagName));
+        }
+
+        const date = new Date(value);
+        if (isNaN(date.getTime())) {
+            throw new Error(`Invalid ${flagName} "${value}". Expected a date (2024-01-15) or an age (12h, 7d, 2w)`);
+        }
+        return date;
+    }
+}
+
+module.exports = CliArgs;
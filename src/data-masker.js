@@ -0,0 +1,131 @@
+// Masks personal data in a restored database according to a per-service rules file. Each rule is
+// one set-based statement (an UPDATE over the whole column, or a TRUNCATE), and rewritten tables are
+// vacuumed so the original values do not linger on disk in dead row versions.
+const fs = require('fs');
+const crypto = require('crypto');
+const PostgresClient = require('./postgres-client');
+
+const COLUMN_STRATEGIES = ['fake_email', 'hash', 'null', 'shuffle', 'fixed'];
+const TABLE_STRATEGIES = ['truncate'];
+
+// "schema.table.column" or "table.column" (public schema); truncate rules name "schema.table" or "table"
+function parseTarget(key, strategy) {
+    const parts = key.split('.');
+    const tableRule = TABLE_STRATEGIES.includes(strategy);
+    const expected = tableRule ? [1, 2] : [2, 3];
+    if (!expected.includes(parts.length) || parts.some(part => part === '')) {
+        throw new Error(`Masking rule "${key}": expected ${tableRule ? '[schema.]table' : '[schema.]table.column'}`);
+    }
+    if (parts.length === expected[0]) {
+        parts.unshift('public');
+    }
+    return { schema: parts[0], table: parts[1], column: tableRule ? null : parts[2] };
+}
+
+class DataMasker {
+    constructor(pg) {
+        this.pg = pg;
+        // Hashes and fake emails are stable within one run, so equal values still join, but
+        // cannot be looked up in precomputed tables of hashed emails
+        this.salt = crypto.randomBytes(16).toString('hex');
+    }
+
+    // Rules from a JSON file of the form { "rules": { "public.users.email": "fake_email",
+    // "users.note": { "strategy": "fixed", "value": "redacted" }, "audit_log": "truncate" } }
+    static loadRules(filePath) {
+        let content;
+        try {
+            content = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            throw new Error(`Could not read masking rules ${filePath}: ${error.message}`);
+        }
+        if (!content || typeof content.rules !== 'object' || content.rules === null || Array.isArray(content.rules)) {
+            throw new Error(`Masking rules ${filePath} need a "rules" object mapping table.column to a strategy`);
+        }
+
+        return Object.entries(content.rules).map(([key, spec]) => {
+            const { strategy, value = null } = typeof spec === 'string' ? { strategy: spec } : (spec || {});
+            if (![...COLUMN_STRATEGIES, ...TABLE_STRATEGIES].includes(strategy)) {
+                throw new Error(`Masking rule "${key}": unknown strategy "${strategy}". Expected one of: ${[...COLUMN_STRATEGIES, ...TABLE_STRATEGIES].join(', ')}`);
+            }
+            return { key, strategy, value, ...parseTarget(key, strategy) };
+        });
+    }
+
+    // The statement applying one rule; UPDATEs report their row count through RETURNING
+    statement(rule) {
+        const table = PostgresClient.qualifiedName(rule.schema, rule.table);
+        if (rule.strategy === 'truncate') {
+            return `TRUNCATE TABLE ${table}`;
+        }
+
+        const column = PostgresClient.quoteIdent(rule.column);
+        const salt = PostgresClient.quoteLiteral(this.salt);
+        let update;
+        switch (rule.strategy) {
+            case 'fake_email':
+                update = `UPDATE ${table} SET ${column} = 'user_' || left(md5(${salt} || ${column}::text), 12) || '@example.com' WHERE ${column} IS NOT NULL`;
+                break;
+            case 'hash':
+                update = `UPDATE ${table} SET ${column} = md5(${salt} || ${column}::text) WHERE ${column} IS NOT NULL`;
+                break;
+            case 'null':
+                update = `UPDATE ${table} SET ${column} = NULL WHERE ${column} IS NOT NULL`;
+                break;
+            case 'fixed':
+                update = `UPDATE ${table} SET ${column} = ${PostgresClient.quoteLiteral(rule.value)}`;
+                break;
+            case 'shuffle':
+                // Pair every row with the value of a randomly ordered row; both CTEs read the table before the update
+                update = `WITH targets AS (SELECT ctid AS row_id, row_number() OVER (ORDER BY random()) AS n FROM ${table}), `
+                    + `source_values AS (SELECT ${column} AS value, row_number() OVER () AS n FROM ${table}) `
+                    + `UPDATE ${table} SET ${column} = source_values.value FROM targets JOIN source_values USING (n) WHERE ${table}.ctid = targets.row_id`;
+                break;
+        }
+        return `WITH masked AS (${update} RETURNING 1) SELECT count(*) FROM masked`;
+    }
+
+    // Apply rules to dbName. Rules naming tables or columns the database does not have are skipped;
+    // any other failure throws, leaving the remaining rules unapplied.
+    // Returns [{ rule, strategy, rows, skipped }] in rule order.
+    async apply(dbName, rules) {
+        const existing = new Set((await this.pg.queryRows(dbName,
+            `SELECT table_schema, table_name, column_name FROM information_schema.columns WHERE table_schema NOT IN ('information_schema', 'pg_catalog')`))
+            .flatMap(([schema, table, column]) => [`${schema}.${table}`, `${schema}.${table}.${column}`]));
+
+        const report = [];
+        const rewritten = new Set();
+        for (const rule of rules) {
+            const target = [rule.schema, rule.table, rule.column].filter(Boolean).join('.');
+            if (!existing.has(target)) {
+                report.push({ rule: rule.key, strategy: rule.strategy, rows: null, skipped: `${rule.column ? 'column' : 'table'} ${target} not found` });
+                continue;
+            }
+
+            let rows;
+            try {
+                if (rule.strategy === 'truncate') {
+                    rows = parseInt(await this.pg.queryValue(dbName, `SELECT count(*) FROM ${PostgresClient.qualifiedName(rule.schema, rule.table)}`)) || 0;
+                    await this.pg.query(dbName, this.statement(rule));
+                } else {
+                    rows = parseInt(await this.pg.queryValue(dbName, this.statement(rule))) || 0;
+                    rewritten.add(PostgresClient.qualifiedName(rule.schema, rule.table));
+                }
+            } catch (error) {
+                throw new Error(`Masking rule "${rule.key}" (${rule.strategy}) failed: ${(error.stderr || error.message).trim()}`);
+            }
+            report.push({ rule: rule.key, strategy: rule.strategy, rows, skipped: null });
+        }
+
+        // UPDATE leaves the old row versions in the table files until they are rewritten
+        for (const table of rewritten) {
+            await this.pg.query(dbName, `VACUUM FULL ${table}`);
+        }
+
+        return report;
+    }
+}
+
+DataMasker.STRATEGIES = [...COLUMN_STRATEGIES, ...TABLE_STRATEGIES];
+
+module.exports = DataMasker;
@@ -0,0 +1,246 @@
+// Builds a small, referentially consistent copy of a database: the full schema plus a configured
+// slice of rows. Rows are chosen in the source database (by physical row id, so tables need no
+// primary key): seed rows from the rules, their child rows along foreign keys, then every parent row
+// those rows reference, until nothing changes. Foreign keys are added after the data is loaded and
+// counted afterwards, so the copy only succeeds when the slice is consistent.
+const fs = require('fs');
+const path = require('path');
+const PostgresClient = require('./postgres-client');
+
+// Write a psql meta-command argument: single-quoted, quotes doubled, forward slashes on Windows
+function psqlPath(filePath) {
+    return `'${filePath.replace(/\\/g, '/').replace(/'/g, "''")}'`;
+}
+
+// "schema.table" or "table" (public schema)
+function parseTable(name, label) {
+    const parts = String(name).split('.');
+    if (parts.length > 2 || parts.some(part => part === '')) {
+        throw new Error(`Subset rules: ${label} "${name}" should be [schema.]table`);
+    }
+    return parts.length === 1 ? { schema: 'public', table: parts[0] } : { schema: parts[0], table: parts[1] };
+}
+
+class DatabaseSubsetter {
+    constructor(pg) {
+        this.pg = pg;
+    }
+
+    // Rules from a JSON file of the form { "tables": { "public.orders": { "where": "created_at > now() - interval '30 days'" },
+    // "users": { "percent": 1 } }, "fullTables": ["countries"], "followChildren": true }
+    static loadRules(filePath) {
+        let content;
+        try {
+            content = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            throw new Error(`Could not read subset rules ${filePath}: ${error.message}`);
+        }
+        if (!content || typeof content.tables !== 'object' || content.tables === null || Array.isArray(content.tables)) {
+            throw new Error(`Subset rules ${filePath} need a "tables" object mapping tables to { where, percent, limit }`);
+        }
+
+        const seeds = Object.entries(content.tables).map(([name, spec]) => {
+            const { where = null, percent = null, limit = null } = spec || {};
+            if (where !== null && (typeof where !== 'string' || where.trim() === '')) {
+                throw new Error(`Subset rule "${name}": "where" must be an SQL condition`);
+            }
+            if (percent !== null && !(typeof percent === 'number' && percent > 0 && percent <= 100)) {
+                throw new Error(`Subset rule "${name}": "percent" must be a number above 0 and up to 100`);
+            }
+            if (limit !== null && !(Number.isInteger(limit) && limit >= 0)) {
+                throw new Error(`Subset rule "${name}": "limit" must be a non-negative integer`);
+            }
+            return { ...parseTable(name, 'table'), where, percent, limit };
+        });
+
+        // "users" and "public.users" are the same table; two seeds for it would select its rows twice
+        const seen = new Map();
+        for (const [i, name] of Object.keys(content.tables).entries()) {
+            const key = `${seeds[i].schema}.${seeds[i].table}`;
+            if (seen.has(key)) {
+                throw new Error(`Subset rules ${filePath}: "${seen.get(key)}" and "${name}" both name ${key}; merge them into one rule`);
+            }
+            seen.set(key, name);
+        }
+
+        return {
+            seeds,
+            fullTables: [].concat(content.fullTables || []).map(name => parseTable(name, 'full table')),
+            followChildren: content.followChildren !== false
+        };
+    }
+
+    // Ordinary tables with their copyable (non-generated) columns, quoted: [{ schema, table, columns }]
+    async listTables(dbName) {
+        const rows = await this.pg.queryRows(dbName, `
+            SELECT n.nspname, c.relname, json_agg(quote_ident(a.attname) ORDER BY a.attnum)::text
+            FROM pg_class c
+            JOIN pg_namespace n ON n.oid = c.relnamespace
+            JOIN pg_attribute a ON a.attrelid = c.oid AND a.attnum > 0 AND NOT a.attisdropped AND a.attgenerated = ''
+            WHERE c.relkind = 'r' AND n.nspname NOT IN ('pg_catalog', 'information_schema') AND n.nspname NOT LIKE 'pg\\_%'
+            GROUP BY n.nspname, c.relname
+            ORDER BY 1, 2`);
+        return rows.map(([schema, table, columns]) => ({ schema, table, columns: JSON.parse(columns) }));
+    }
+
+    // Foreign keys between ordinary tables: [{ child, childColumns, parent, parentColumns }] with quoted columns
+    async listForeignKeys(dbName) {
+        const rows = await this.pg.queryRows(dbName, `
+            SELECT cn.nspname, cc.relname,
+                   (SELECT json_agg(quote_ident(a.attname) ORDER BY k.ord)::text FROM unnest(con.conkey) WITH ORDINALITY k(attnum, ord)
+                    JOIN pg_attribute a ON a.attrelid = con.conrelid AND a.attnum = k.attnum),
+                   pn.nspname, pc.relname,
+                   (SELECT json_agg(quote_ident(a.attname) ORDER BY k.ord)::text FROM unnest(con.confkey) WITH ORDINALITY k(attnum, ord)
+                    JOIN pg_attribute a ON a.attrelid = con.confrelid AND a.attnum = k.attnum)
+            FROM pg_constraint con
+            JOIN pg_class cc ON cc.oid = con.conrelid
+            JOIN pg_namespace cn ON cn.oid = cc.relnamespace
+            JOIN pg_class pc ON pc.oid = con.confrelid
+            JOIN pg_namespace pn ON pn.oid = pc.relnamespace
+            WHERE con.contype = 'f' AND cc.relkind = 'r' AND pc.relkind = 'r'`);
+        return rows.map(([childSchema, childTable, childColumns, parentSchema, parentTable, parentColumns]) => ({
+            child: `${childSchema}.${childTable}`,
+            childColumns: JSON.parse(childColumns),
+            parent: `${parentSchema}.${parentTable}`,
+            parentColumns: JSON.parse(parentColumns)
+        }));
+    }
+
+    // psql script run in the source database: selects rows into temp tables and writes one COPY file per table
+    selectionScript(tables, foreignKeys, rules, workDir) {
+        const index = new Map(tables.map((table, i) => [`${table.schema}.${table.table}`, i]));
+        const relation = key => PostgresClient.qualifiedName(tables[index.get(key)].schema, tables[index.get(key)].table);
+        const lookup = (entry, label) => {
+            const key = `${entry.schema}.${entry.table}`;
+            if (!index.has(key)) {
+                throw new Error(`Subset rules: ${label} ${key} does not exist in the source database`);
+            }
+            return index.get(key);
+        };
+
+        const lines = ['\\set ON_ERROR_STOP on', 'BEGIN ISOLATION LEVEL REPEATABLE READ;'];
+        tables.forEach((table, i) => {
+            lines.push(`CREATE TEMP TABLE sel_${i} (row_id tid NOT NULL, down boolean NOT NULL);`);
+            lines.push(`CREATE INDEX ON sel_${i} (row_id);`);
+        });
+
+        for (const seed of rules.seeds) {
+            const i = lookup(seed, 'table');
+            const conditions = [seed.where ? `(${seed.where})` : null, seed.percent !== null ? `random() < ${seed.percent / 100}` : null].filter(Boolean);
+            lines.push(`INSERT INTO sel_${i} SELECT ctid, true FROM ${PostgresClient.qualifiedName(seed.schema, seed.table)}`
+                + `${conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : ''}${seed.limit !== null ? ` LIMIT ${seed.limit}` : ''};`);
+        }
+        for (const full of rules.fullTables) {
+            const i = lookup(full, 'full table');
+            lines.push(`INSERT INTO sel_${i} SELECT ctid, false FROM ${PostgresClient.qualifiedName(full.schema, full.table)} t WHERE NOT EXISTS (SELECT 1 FROM sel_${i} s WHERE s.row_id = t.ctid);`);
+        }
+
+        const edges = foreignKeys.filter(fk => index.has(fk.child) && index.has(fk.parent));
+        // Rows referencing selected rows of the parent table (children of seed rows only)
+        const down = fk => `INSERT INTO sel_${index.get(fk.child)} SELECT c.ctid, true FROM ${relation(fk.child)} c `
+            + `WHERE (${fk.childColumns.map(column => `c.${column}`).join(',')}) IN `
+            + `(SELECT ${fk.parentColumns.map(column => `p.${column}`).join(',')} FROM ${relation(fk.parent)} p JOIN sel_${index.get(fk.parent)} s ON p.ctid = s.row_id AND s.down) `
+            + `AND NOT EXISTS (SELECT 1 FROM sel_${index.get(fk.child)} x WHERE x.row_id = c.ctid);`;
+        // Rows referenced by selected rows of the child table
+        const up = fk => `INSERT INTO sel_${index.get(fk.parent)} SELECT p.ctid, false FROM ${relation(fk.parent)} p `
+            + `WHERE (${fk.parentColumns.map(column => `p.${column}`).join(',')}) IN `
+            + `(SELECT ${fk.childColumns.map(column => `c.${column}`).join(',')} FROM ${relation(fk.child)} c JOIN sel_${index.get(fk.child)} s ON c.ctid = s.row_id) `
+            + `AND NOT EXISTS (SELECT 1 FROM sel_${index.get(fk.parent)} x WHERE x.row_id = p.ctid);`;
+        const fixpoint = statements => [
+            'DO $subset$ DECLARE added bigint; changed boolean; BEGIN',
+            '  LOOP',
+            '    changed := false;',
+            ...statements.map(statement => `    ${statement} GET DIAGNOSTICS added = ROW_COUNT; changed := changed OR added > 0;`),
+            '    EXIT WHEN NOT changed;',
+            '  END LOOP;',
+            'END $subset$;'
+        ];
+        // Self-references (a user's referred users, a manager's reports) are not followed downwards:
+        // that would walk the whole hierarchy and pull in most of the table
+        const downEdges = rules.followChildren ? edges.filter(fk => fk.child !== fk.parent) : [];
+        if (downEdges.length > 0) {
+            lines.push(...fixpoint(downEdges.map(down)));
+        }
+        if (edges.length > 0) {
+            lines.push(...fixpoint(edges.map(up)));
+        }
+
+        tables.forEach((table, i) => {
+            const file = path.join(workDir, `${i}.copy`);
+            lines.push(`\\copy (SELECT ${table.columns.map(column => `t.${column}`).join(',')} FROM ${PostgresClient.qualifiedName(table.schema, table.table)} t JOIN sel_${i} s ON t.ctid = s.row_id) TO ${psqlPath(file)}`);
+        });
+        lines.push(`SELECT ${tables.map((table, i) => `(SELECT count(*) FROM sel_${i})`).join(' || \',\' || ') || "''"};`);
+        lines.push('COMMIT;');
+        return `${lines.join('\n')}\n`;
+    }
+
+    // psql script run in the target database: loads the COPY files, then moves sequences past the copied values
+    loadScript(tables, workDir) {
+        const lines = ['\\set ON_ERROR_STOP on', 'BEGIN;'];
+        tables.forEach((table, i) => {
+            lines.push(`\\copy ${PostgresClient.qualifiedName(table.schema, table.table)} (${table.columns.join(',')}) FROM ${psqlPath(path.join(workDir, `${i}.copy`))}`);
+        });
+        lines.push(
+            'DO $subset$ DECLARE r record; BEGIN',
+            "  FOR r IN SELECT s.oid::regclass AS seq, c.oid::regclass AS tbl, a.attname FROM pg_depend d JOIN pg_class s ON s.oid = d.objid AND s.relkind = 'S'",
+            "           JOIN pg_class c ON c.oid = d.refobjid JOIN pg_attribute a ON a.attrelid = c.oid AND a.attnum = d.refobjsubid WHERE d.deptype IN ('a', 'i') LOOP",
+            "    EXECUTE format('SELECT setval(%L, COALESCE((SELECT max(%I) FROM %s), 0) + 1, false)', r.seq, r.attname, r.tbl);",
+            '  END LOOP;',
+            'END $subset$;',
+            'COMMIT;'
+        );
+        return `${lines.join('\n')}\n`;
+    }
+
+    // pg_restore carries on past errors such as COMMENT ON EXTENSION without superuser, the same as a full
+    // restore does; they are listed rather than fatal. Missing foreign keys are caught by copy().
+    async restoreSection(targetDb, section, schemaFile, restoreArgs) {
+        const result = await this.pg.pgRestore(targetDb, [`--section=${section}`, ...restoreArgs, schemaFile], { allowFailure: true });
+        if (result.status !== 0) {
+            const errors = result.stderr.split(/\r?\n/).filter(line => /error:/i.test(line));
+            console.warn(`⚠️  pg_restore reported ${errors.length || 'some'} error(s) in the ${section} section:`);
+            errors.slice(0, 5).forEach(line => console.warn(`   ${line.trim()}`));
+        }
+    }
+
+    // Copy the schema of sourceDb and the slice chosen by rules into targetDb, which must exist and be empty.
+    // restoreArgs are extra pg_restore arguments (ownership handling). Returns [{ table, rows }] for tables with rows.
+    async copy(sourceDb, targetDb, rules, { workDir, restoreArgs = [] }) {
+        fs.mkdirSync(workDir, { recursive: true });
+        const schemaFile = path.join(workDir, 'schema.dump');
+
+        console.log(`📐 Copying the schema of ${sourceDb}...`);
+        await this.pg.pgDump(sourceDb, ['-Fc', '--schema-only', '-f', schemaFile]);
+        await this.restoreSection(targetDb, 'pre-data', schemaFile, restoreArgs);
+
+        const tables = await this.listTables(sourceDb);
+        const foreignKeys = await this.listForeignKeys(sourceDb);
+
+        console.log(`🔗 Selecting rows along ${foreignKeys.length} foreign key(s)...`);
+        const selectionFile = path.join(workDir, 'select.sql');
+        fs.writeFileSync(selectionFile, this.selectionScript(tables, foreignKeys, rules, workDir));
+        const { stdout } = await this.pg.psql(sourceDb, ['-q', '-t', '-A', '-f', selectionFile]);
+        const counts = stdout.trim().split('\n').pop().split(',').map(count => parseInt(count) || 0);
+
+        console.log('📥 Loading the selected rows...');
+        const loadFile = path.join(workDir, 'load.sql');
+        fs.writeFileSync(loadFile, this.loadScript(tables, workDir));
+        await this.pg.psql(targetDb, ['-q', '-f', loadFile]);
+
+        console.log('🔧 Adding indexes and constraints...');
+        await this.restoreSection(targetDb, 'post-data', schemaFile, restoreArgs);
+
+        const expected = foreignKeys.length;
+        const added = (await this.listForeignKeys(targetDb)).length;
+        if (added < expected) {
+            throw new Error(`Only ${added} of ${expected} foreign keys could be added to ${targetDb}; the selected rows are not consistent`);
+        }
+
+        return tables
+            .map((table, i) => ({ table: `${table.schema}.${table.table}`, rows: counts[i] || 0 }))
+            .filter(entry => entry.rows > 0)
+            .sort((a, b) => b.rows - a.rows || a.table.localeCompare(b.table));
+    }
+}
+
+module.exports = DatabaseSubsetter;
@@ -0,0 +1,169 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const PlatformUtils = require('./platform-utils');
+const ProgressBar = require('./progress-bar');
+
+const INDEX_FILE = 'index.json';
+const OBJECTS_DIR = 'objects';
+
+// Content-addressed store of downloaded backups, keyed by bucket/key/ETag.
+// A new upload under the same key gets a new ETag, so stale copies are never served.
+class DownloadCache {
+    constructor(cacheDir, maxSize) {
+        this.cacheDir = cacheDir;
+        this.maxSize = maxSize;
+        this.indexPath = path.join(cacheDir, INDEX_FILE);
+        this.objectsDir = path.join(cacheDir, OBJECTS_DIR);
+    }
+
+    static cacheId(bucket, key, etag) {
+        return crypto.createHash('sha256').update(`${bucket}/${key}/${etag}`).digest('hex');
+    }
+
+    loadIndex() {
+        try {
+            return JSON.parse(fs.readFileSync(this.indexPath, 'utf8'));
+        } catch (error) {
+            return { entries: {} };
+        }
+    }
+
+    // Write through a temp file so an interrupted run never leaves a half-written index
+    saveIndex(index) {
+        fs.mkdirSync(this.cacheDir, { recursive: true });
+        const tempPath = `${this.indexPath}.${process.pid}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(index, null, 2));
+        fs.renameSync(tempPath, this.indexPath);
+    }
+
+    // Return the cached file path for this exact object version, or null
+    lookup(bucket, key, etag) {
+        const index = this.loadIndex();
+        const id = DownloadCache.cacheId(bucket, key, etag);
+        const entry = index.entries[id];
+        if (!entry) {
+            return null;
+        }
+
+        const filePath = path.join(this.cacheDir, entry.file);
+        if (!fs.existsSync(filePath) || fs.statSync(filePath).size !== entry.size) {
+            // The file was removed or damaged outside the tool; forget the entry
+            this.removeEntry(index, id);
+            this.saveIndex(index);
+            return null;
+        }
+
+        entry.lastUsedAt = new Date().toISOString();
+        entry.hits = (entry.hits || 0) + 1;
+        this.saveIndex(index);
+        return filePath;
+    }
+
+    // Move a verified download into the cache and return its new path.
+    // Files larger than the whole cache are left where they are.
+    store(bucket, key, etag, filePath) {
+        const size = fs.statSync(filePath).size;
+        if (size > this.maxSize) {
+            console.log(`ℹ️  ${path.basename(filePath)} is larger than the download cache limit (${ProgressBar.formatBytes(this.maxSize)}), not caching`);
+            return filePath;
+        }
+
+        const id = DownloadCache.cacheId(bucket, key, etag);
+        // Keep the original filename so format detection by extension still works
+        const file = path.join(OBJECTS_DIR, id, path.basename(key));
+        const cachedPath = path.join(this.cacheDir, file);
+
+        fs.mkdirSync(path.dirname(cachedPath), { recursive: true });
+        PlatformUtils.moveFile(filePath, cachedPath);
+
+        const index = this.loadIndex();
+        const now = new Date().toISOString();
+        index.entries[id] = { bucket, key, etag, size, file, createdAt: now, lastUsedAt: now, hits: 0 };
+        this.evict(index, this.maxSize, id);
+        this.saveIndex(index);
+
+        return cachedPath;
+    }
+
+    list() {
+        return Object.entries(this.loadIndex().entries)
+            .map(([id, entry]) => ({ id, ...entry, path: path.join(this.cacheDir, entry.file) }))
+            .sort((a, b) => new Date(b.lastUsedAt) - new Date(a.lastUsedAt));
+    }
+
+    totalSize(index = this.loadIndex()) {
+        return Object.values(index.entries).reduce((sum, entry) => sum + entry.size, 0);
+    }
+
+    // Drop entries whose files are gone, orphaned files, entries unused since olderThan,
+    // then evict least recently used entries until the cache fits maxSize
+    prune({ maxSize = this.maxSize, olderThan = null } = {}) {
+        const index = this.loadIndex();
+        const removed = [];
+
+        for (const [id, entry] of Object.entries(index.entries)) {
+            const missing = !fs.existsSync(path.join(this.cacheDir, entry.file));
+            const stale = olderThan && new Date(entry.lastUsedAt) < olderThan;
+            if (missing || stale) {
+                removed.push(entry);
+                this.removeEntry(index, id);
+            }
+        }
+
+        removed.push(...this.evict(index, maxSize));
+        this.removeOrphans(index);
+        this.saveIndex(index);
+
+        return removed;
+    }
+
+    clear() {
+        const entries = Object.values(this.loadIndex().entries);
+        fs.rmSync(this.objectsDir, { recursive: true, force: true });
+        this.saveIndex({ entries: {} });
+        return entries;
+    }
+
+    // Remove least recently used entries (never keepId) until the total fits maxSize
+    evict(index, maxSize, keepId = null) {
+        const removed = [];
+        const candidates = Object.entries(index.entries)
+            .filter(([id]) => id !== keepId)
+            .sort(([, a], [, b]) => new Date(a.lastUsedAt) - new Date(b.lastUsedAt));
+
+        let total = this.totalSize(index);
+        for (const [id, entry] of candidates) {
+            if (total <= maxSize) {
+                break;
+            }
+            total -= entry.size;
+            removed.push(entry);
+            this.removeEntry(index, id);
+        }
+
+        if (removed.length > 0) {
+            console.log(`🧹 Evicted ${removed.length} cached backup(s) to stay within ${ProgressBar.formatBytes(maxSize)}`);
+        }
+        return removed;
+    }
+
+    removeEntry(index, id) {
+        fs.rmSync(path.join(this.objectsDir, id), { recursive: true, force: true });
+        delete index.entries[id];
+    }
+
+    // Directories left behind by interrupted runs that never made it into the index
+    removeOrphans(index) {
+        if (!fs.existsSync(this.objectsDir)) {
+            return;
+        }
+        for (const id of fs.readdirSync(this.objectsDir)) {
+            if (!index.entries[id]) {
+                fs.rmSync(path.join(this.objectsDir, id), { recursive: true, force: true });
+            }
+        }
+    }
+}
+
+module.exports = DownloadCache;
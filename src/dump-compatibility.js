@@ -0,0 +1,128 @@
+// Pre-restore check that the local pg_restore can read a dump and the target server can load it.
+// Custom/directory archives record their format version and the pg_dump/server versions in the
+// header; plain SQL dumps record the versions in "-- Dumped from/by" comments near the top.
+const fs = require('fs');
+const ArchiveReader = require('./archive-reader');
+
+const { archiveVersion } = ArchiveReader;
+
+// Oldest pg_restore able to read each archive format version (pg_backup_archiver.h); a reader
+// rejects archives newer than the one its own pg_dump writes with "unsupported version in file header"
+const ARCHIVE_REQUIREMENTS = [
+    { version: archiveVersion(1, 16), pgRestore: '17.0' }, // BLOB METADATA entries, relkind
+    { version: archiveVersion(1, 15), pgRestore: '16.0' }, // compression algorithm in the header
+    { version: archiveVersion(1, 14), pgRestore: '12.0' }, // table access methods
+    { version: archiveVersion(1, 13), pgRestore: '10.3' } // search_path reset (also 9.3.22+ minor releases)
+];
+
+// Plain SQL dumps state their versions in the first few lines
+const SQL_HEADER_BYTES = 64 * 1024;
+
+// "16.4 (Ubuntu 16.4-1.pgdg22.04+1)" -> [16, 4]; "9.6.24" -> [9, 6, 24]; null when unparseable
+function parseVersion(text) {
+    const match = String(text || '').match(/(\d+)(?:\.(\d+))?(?:\.(\d+))?/);
+    return match ? match.slice(1).filter(part => part !== undefined).map(Number) : null;
+}
+
+function compareVersions(a, b) {
+    for (let i = 0; i < Math.max(a.length, b.length); i++) {
+        const diff = (a[i] || 0) - (b[i] || 0);
+        if (diff !== 0) {
+            return diff;
+        }
+    }
+    return 0;
+}
+
+// Major release: "16" from 16.4, "9.6" from 9.6.24 (two-part majors before PostgreSQL 10)
+function majorVersion(version) {
+    return version[0] >= 10 ? [version[0]] : version.slice(0, 2);
+}
+
+function formatVersion(version) {
+    return version.join('.');
+}
+
+class DumpCompatibility {
+    // { format, archiveVersion, archiveVersionNumber, pgDumpVersion, serverVersion } of a dump
+    static readDumpVersions(filePath, format) {
+        if (format === 'custom' || format === 'directory') {
+            const header = ArchiveReader.readHeaderOnly(filePath);
+            return {
+                format,
+                archiveVersion: header.version,
+                archiveVersionNumber: header.versionNumber,
+                pgDumpVersion: header.dumpVersion,
+                serverVersion: header.serverVersion
+            };
+        }
+
+        const buffer = Buffer.alloc(SQL_HEADER_BYTES);
+        const fd = fs.openSync(filePath, 'r');
+        let text;
+        try {
+            text = buffer.toString('utf8', 0, fs.readSync(fd, buffer, 0, SQL_HEADER_BYTES, 0));
+        } finally {
+            fs.closeSync(fd);
+        }
+
+        const dumpedFrom = text.match(/^-- Dumped from database version (.+)$/m);
+        const dumpedBy = text.match(/^-- Dumped by pg_dump version (.+)$/m);
+        return {
+            format,
+            archiveVersion: null,
+            archiveVersionNumber: null,
+            pgDumpVersion: dumpedBy ? dumpedBy[1].trim() : null,
+            serverVersion: dumpedFrom ? dumpedFrom[1].trim() : null
+        };
+    }
+
+    // Problems restoring `dump` with the local tools into the target server. Errors mean the
+    // restore cannot work; warnings mean parts of it may fail. Unknown versions are not judged.
+    static evaluate(dump, { pgRestoreVersion = null, psqlVersion = null, targetServerVersion = null } = {}) {
+        const errors = [];
+        const warnings = [];
+
+        const dumpedBy = parseVersion(dump.pgDumpVersion);
+        const dumpedFrom = parseVersion(dump.serverVersion);
+        const target = parseVersion(targetServerVersion);
+        const usesArchive = dump.format === 'custom' || dump.format === 'directory';
+        const toolName = usesArchive ? 'pg_restore' : 'psql';
+        const tool = parseVersion(usesArchive ? pgRestoreVersion : psqlVersion);
+        const dumpMajor = dumpedBy ? formatVersion(majorVersion(dumpedBy)) : null;
+
+        if (usesArchive && tool && dump.archiveVersionNumber) {
+            const requirement = ARCHIVE_REQUIREMENTS.find(entry => dump.archiveVersionNumber >= entry.version);
+            if (requirement && compareVersions(tool, parseVersion(requirement.pgRestore)) < 0) {
+                errors.push(
+                    `This dump uses archive format ${dump.archiveVersion}${dump.pgDumpVersion ? ` (pg_dump ${dump.pgDumpVersion})` : ''}, `
+                    + `which pg_restore ${formatVersion(tool)} cannot read; pg_restore ${requirement.pgRestore} or newer is required. `
+                    + `Install the PostgreSQL ${dumpMajor || requirement.pgRestore.split('.')[0]} client tools `
+                    + '(newer pg_restore works with older servers) and make sure they come first in PATH.'
+                );
+            }
+        }
+
+        if (errors.length === 0 && tool && dumpedBy
+            && compareVersions(majorVersion(tool), majorVersion(dumpedBy)) < 0) {
+            warnings.push(
+                `The dump was made by pg_dump ${dump.pgDumpVersion} but the local ${toolName} is ${formatVersion(tool)}. `
+                + `Older tools can mis-handle statements added in newer releases; use ${toolName} ${dumpMajor} or newer if the restore reports errors.`
+            );
+        }
+
+        if (target && dumpedFrom && compareVersions(majorVersion(target), majorVersion(dumpedFrom)) < 0) {
+            warnings.push(
+                `The dump comes from PostgreSQL ${dump.serverVersion} but the target server runs ${targetServerVersion}. `
+                + 'pg_dump output is only guaranteed to load into the same or a newer major version; objects using newer '
+                + `features (syntax, functions, table options) may fail. Restore into a PostgreSQL ${formatVersion(majorVersion(dumpedFrom))}+ server to avoid this.`
+            );
+        }
+
+        return { errors, warnings };
+    }
+}
+
+DumpCompatibility.parseVersion = parseVersion;
+
+module.exports = DumpCompatibility;
@@ -0,0 +1,206 @@
+// Compares two dumps read by DumpInspector.readObjects: tables and their columns, indexes,
+// constraints and functions are matched by name and reported as added, removed or changed,
+// alongside the change in each table's data size. Definitions are compared as pg_dump writes
+// them, so both dumps should come from similar pg_dump versions to avoid cosmetic differences.
+
+const CONSTRAINT_DESCS = new Set(['CONSTRAINT', 'FK CONSTRAINT', 'CHECK CONSTRAINT']);
+const FUNCTION_DESCS = new Set(['FUNCTION', 'PROCEDURE', 'AGGREGATE']);
+
+// Statements pg_dump adds around a definition that say nothing about the object itself; they
+// start at column 0, unlike function options such as "    SET search_path TO ..."
+const NOISE_LINE = /^(?:--|SET |SELECT pg_catalog\.set_config\(|ALTER \S+(?: \S+)? .* OWNER TO |\\(?:un)?restrict\b)/;
+
+// Drop ownership/session noise and collapse whitespace so layout differences don't count
+function normalize(defn) {
+    return defn
+        .split('\n')
+        .filter(line => !NOISE_LINE.test(line))
+        .join(' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+function unquoteIdent(text) {
+    const trimmed = text.trim();
+    return /^".*"$/.test(trimmed) ? trimmed.slice(1, -1).replace(/""/g, '"') : trimmed;
+}
+
+// Leading identifier of a column or constraint definition and the text after it
+function splitIdent(text) {
+    const match = text.match(/^\s*("(?:[^"]|"")*"|\S+)\s*([\s\S]*)$/);
+    return match ? { name: unquoteIdent(match[1]), rest: match[2].trim() } : { name: text.trim(), rest: '' };
+}
+
+// Items of the parenthesised list in CREATE TABLE, split on top-level commas; quotes and
+// dollar quoting are skipped so defaults and CHECK expressions stay whole
+function tableItems(defn) {
+    const items = [];
+    let depth = 0;
+    let current = '';
+    let quote = null;
+
+    for (let i = 0; i < defn.length; i++) {
+        const char = defn[i];
+        if (quote) {
+            if (defn.startsWith(quote, i)) {
+                i += quote.length - 1;
+                if (depth > 0) current += quote;
+                quote = null;
+                continue;
+            }
+        } else if (char === '"' || char === "'") {
+            quote = char;
+        } else if (char === '$') {
+            const tag = defn.slice(i).match(/^\$[A-Za-z_]*\$/);
+            if (tag) {
+                quote = tag[0];
+                if (depth > 0) current += quote;
+                i += quote.length - 1;
+                continue;
+            }
+        } else if (char === '(') {
+            depth++;
+            if (depth === 1) continue;
+        } else if (char === ')') {
+            depth--;
+            if (depth === 0) {
+                items.push(current);
+                break;
+            }
+        } else if (char === ',' && depth === 1) {
+            items.push(current);
+            current = '';
+            continue;
+        }
+        if (depth > 0) current += char;
+    }
+
+    return items.map(item => item.trim()).filter(Boolean);
+}
+
+// Table and trailing name of "table name" tags (constraints, defaults); table names may contain
+// spaces, so the longest known table of the schema that prefixes the tag wins
+function splitTableTag(schema, tag, tableNames) {
+    const table = tableNames
+        .filter(name => name.startsWith(`${schema}.`) && tag.startsWith(`${name.slice(schema.length + 1)} `))
+        .sort((a, b) => b.length - a.length)[0];
+    if (!table) {
+        const space = tag.indexOf(' ');
+        return { table: `${schema}.${tag.slice(0, space)}`, name: tag.slice(space + 1) };
+    }
+    return { table, name: tag.slice(table.length - schema.length) };
+}
+
+// { tables, indexes, constraints, functions, sizes } keyed by qualified name
+function buildModel(objects) {
+    const model = { tables: new Map(), indexes: new Map(), constraints: new Map(), functions: new Map(), sizes: new Map() };
+    const qualified = object => object.schema ? `${object.schema}.${object.name}` : object.name;
+
+    for (const object of objects.filter(o => o.desc === 'TABLE')) {
+        const columns = new Map();
+        for (const item of tableItems(object.defn)) {
+            if (/^CONSTRAINT\s/i.test(item)) {
+                const { name, rest } = splitIdent(item.replace(/^CONSTRAINT\s+/i, ''));
+                model.constraints.set(`${qualified(object)} ${name}`, { name, table: qualified(object), definition: normalize(rest) });
+            } else {
+                const { name, rest } = splitIdent(item);
+                columns.set(name, { name, definition: normalize(rest) });
+            }
+        }
+        model.tables.set(qualified(object), { name: qualified(object), columns });
+    }
+
+    const tableNames = [...model.tables.keys()];
+    for (const object of objects) {
+        if (object.desc === 'DEFAULT') {
+            // Serial defaults are separate "ALTER COLUMN ... SET DEFAULT" entries; fold them into the column
+            const { table, name } = splitTableTag(object.schema, object.name, tableNames);
+            const column = model.tables.has(table) && model.tables.get(table).columns.get(name);
+            const expression = object.defn.match(/SET DEFAULT ([\s\S]*?);\s*$/m);
+            if (column && expression) {
+                column.definition = `${column.definition} DEFAULT ${normalize(expression[1])}`;
+            }
+        } else if (CONSTRAINT_DESCS.has(object.desc)) {
+            const { table, name } = splitTableTag(object.schema, object.name, tableNames);
+            const clause = normalize(object.defn).match(/ADD CONSTRAINT ("(?:[^"]|"")*"|\S+) ([\s\S]*?);?$/);
+            model.constraints.set(`${table} ${name}`, { name, table, definition: clause ? clause[2] : normalize(object.defn) });
+        } else if (object.desc === 'INDEX') {
+            const table = (normalize(object.defn).match(/ ON (?:ONLY )?(\S+)/) || [])[1] || null;
+            model.indexes.set(qualified(object), { name: qualified(object), table, definition: normalize(object.defn) });
+        } else if (FUNCTION_DESCS.has(object.desc)) {
+            model.functions.set(qualified(object), { name: qualified(object), kind: object.desc.toLowerCase(), definition: normalize(object.defn) });
+        } else if (object.desc === 'TABLE DATA') {
+            model.sizes.set(qualified(object), object.dataSize);
+        }
+    }
+
+    return model;
+}
+
+// Added, removed and changed items of two maps of { name, definition, ... }
+function compareMaps(before, after) {
+    const added = [...after.keys()].filter(key => !before.has(key)).map(key => after.get(key));
+    const removed = [...before.keys()].filter(key => !after.has(key)).map(key => before.get(key));
+    const changed = [...after.keys()]
+        .filter(key => before.has(key) && before.get(key).definition !== after.get(key).definition)
+        .map(key => {
+            const { definition, ...rest } = after.get(key);
+            return { ...rest, before: before.get(key).definition, after: definition };
+        });
+    const byName = (a, b) => `${a.table || ''} ${a.name}`.localeCompare(`${b.table || ''} ${b.name}`);
+    return { added: added.sort(byName), removed: removed.sort(byName), changed: changed.sort(byName) };
+}
+
+class DumpDiff {
+    // before/after are { meta, objects } from DumpInspector.readObjects
+    static compare(before, after) {
+        const a = buildModel(before.objects);
+        const b = buildModel(after.objects);
+
+        const tables = {
+            added: [...b.tables.keys()].filter(name => !a.tables.has(name)).sort(),
+            removed: [...a.tables.keys()].filter(name => !b.tables.has(name)).sort(),
+            changed: [...b.tables.keys()]
+                .filter(name => a.tables.has(name))
+                .sort()
+                .map(name => ({ name, columns: compareMaps(a.tables.get(name).columns, b.tables.get(name).columns) }))
+                .filter(table => table.columns.added.length + table.columns.removed.length + table.columns.changed.length > 0)
+        };
+
+        const sizes = [...new Set([...a.sizes.keys(), ...b.sizes.keys()])]
+            .map(table => {
+                const sizeBefore = a.sizes.has(table) ? a.sizes.get(table) : null;
+                const sizeAfter = b.sizes.has(table) ? b.sizes.get(table) : null;
+                return {
+                    table,
+                    before: sizeBefore,
+                    after: sizeAfter,
+                    change: sizeBefore !== null && sizeAfter !== null ? sizeAfter - sizeBefore : null
+                };
+            })
+            .sort((x, y) => Math.abs(y.change || 0) - Math.abs(x.change || 0) || x.table.localeCompare(y.table));
+
+        return {
+            before: before.meta,
+            after: after.meta,
+            // Compressed and uncompressed sizes (e.g. a .dump against a .sql) are not comparable
+            sizesComparable: before.meta.dataSizeKind === after.meta.dataSizeKind
+                && before.meta.compression === after.meta.compression,
+            tables,
+            indexes: compareMaps(a.indexes, b.indexes),
+            constraints: compareMaps(a.constraints, b.constraints),
+            functions: compareMaps(a.functions, b.functions),
+            sizes
+        };
+    }
+
+    static hasSchemaChanges(diff) {
+        const sections = [diff.indexes, diff.constraints, diff.functions];
+        return diff.tables.added.length + diff.tables.removed.length + diff.tables.changed.length > 0
+            || sections.some(section => section.added.length + section.removed.length + section.changed.length > 0);
+    }
+}
+
+DumpDiff.normalize = normalize;
+
+module.exports = DumpDiff;
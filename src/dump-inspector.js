@@ -0,0 +1,212 @@
+// Summarises what a dump contains (versions, schemas, tables and their data sizes, extensions,
+// roles, large objects) without restoring it. Custom/directory archives are read through
+// ArchiveReader; plain SQL dumps are scanned line by line using pg_dump's "-- Name:" headers.
+const fs = require('fs');
+const readline = require('readline');
+const ArchiveReader = require('./archive-reader');
+
+// Object headers pg_dump writes in plain SQL output
+const SQL_HEADER = /^-- (Data for )?Name: (.*); Type: (.*); Schema: (.*); Owner: (.*?)(?:; Tablespace: .*)?$/;
+
+function unquoteIdent(text) {
+    const trimmed = text.trim();
+    return /^".*"$/.test(trimmed) ? trimmed.slice(1, -1).replace(/""/g, '"') : trimmed;
+}
+
+// Roles named by GRANT ... TO, REVOKE ... FROM, OWNER TO and FOR ROLE clauses
+function rolesInStatement(statement) {
+    const roles = [];
+    const grant = statement.match(/^\s*(?:GRANT|REVOKE)\b[\s\S]*?\b(?:TO|FROM)\s+([\s\S]+?)(?:\s+WITH (?:GRANT|ADMIN|INHERIT|SET) (?:OPTION|TRUE|FALSE)|\s+GRANTED BY [\s\S]+|\s+CASCADE)?;\s*$/);
+    if (grant) {
+        roles.push(...grant[1].split(',').map(role => unquoteIdent(role.replace(/^GROUP\s+/i, ''))));
+    }
+    const owner = statement.match(/\bOWNER TO\s+("(?:[^"]|"")*"|[^\s;]+)/);
+    if (owner) {
+        roles.push(unquoteIdent(owner[1]));
+    }
+    const forRole = statement.match(/\bFOR ROLE\s+("(?:[^"]|"")*"|[^\s;]+)/);
+    if (forRole) {
+        roles.push(unquoteIdent(forRole[1]));
+    }
+    return roles.filter(role => role && role.toUpperCase() !== 'PUBLIC');
+}
+
+class DumpInspector {
+    // format is "custom", "directory" or "sql" (as reported by detectDumpFormat)
+    static async inspect(filePath, format) {
+        const { meta, objects } = await DumpInspector.readObjects(filePath, format);
+        return DumpInspector.summarize(objects, meta);
+    }
+
+    // Dump metadata plus one { desc, schema, name, owner, defn, dataSize } object per archive
+    // TOC entry or per "-- Name:" section of a plain SQL dump
+    static async readObjects(filePath, format) {
+        if (format === 'custom' || format === 'directory') {
+            return DumpInspector.readArchive(filePath);
+        }
+        return DumpInspector.readSql(filePath);
+    }
+
+    static readArchive(filePath) {
+        const { header, entries } = ArchiveReader.read(filePath);
+
+        const objects = entries.map(entry => ({
+            desc: entry.desc,
+            schema: entry.namespace || '',
+            name: entry.tag,
+            owner: entry.owner || '',
+            defn: entry.defn || '',
+            dataSize: entry.dataSize
+        }));
+
+        const encodingEntry = entries.find(entry => entry.desc === 'ENCODING');
+        const encoding = encodingEntry && encodingEntry.defn ? (encodingEntry.defn.match(/client_encoding = '([^']+)'/) || [])[1] : null;
+
+        const meta = {
+            format: header.format,
+            archiveVersion: header.version,
+            compression: header.compression,
+            pgDumpVersion: header.dumpVersion,
+            serverVersion: header.serverVersion,
+            database: header.dbName,
+            encoding: encoding || null,
+            createdAt: header.createdAt ? header.createdAt.toISOString() : null,
+            // Custom and directory dumps store table data compressed (unless dumped with -Z0)
+            dataSizeKind: header.compression === 'none' ? 'uncompressed' : 'compressed'
+        };
+
+        return { meta, objects };
+    }
+
+    static async readSql(filePath) {
+        const meta = {
+            format: 'sql',
+            archiveVersion: null,
+            compression: 'none',
+            pgDumpVersion: null,
+            serverVersion: null,
+            database: null,
+            encoding: null,
+            // Plain SQL output carries no creation time
+            createdAt: null,
+            dataSizeKind: 'uncompressed'
+        };
+
+        const objects = [];
+        let current = null;
+
+        const lines = readline.createInterface({ input: fs.createReadStream(filePath), crlfDelay: Infinity });
+        for await (const line of lines) {
+            const header = line.match(SQL_HEADER);
+            if (header) {
+                current = {
+                    desc: header[3],
+                    schema: header[4] === '-' ? '' : header[4],
+                    name: header[2],
+                    owner: header[5] === '-' ? '' : header[5],
+                    defn: '',
+                    // "-- Data for Name:" sections hold COPY rows or INSERTs, measured as they appear in the file
+                    dataSize: header[1] ? 0 : null
+                };
+                objects.push(current);
+                continue;
+            }
+
+            if (current && current.dataSize !== null) {
+                current.dataSize += Buffer.byteLength(line) + 1;
+                continue;
+            }
+
+            let match;
+            if (!meta.serverVersion && (match = line.match(/^-- Dumped from database version (.+)$/))) {
+                meta.serverVersion = match[1].trim();
+            } else if (!meta.pgDumpVersion && (match = line.match(/^-- Dumped by pg_dump version (.+)$/))) {
+                meta.pgDumpVersion = match[1].trim();
+            } else if (!meta.encoding && (match = line.match(/^SET client_encoding = '([^']+)';/))) {
+                meta.encoding = match[1];
+            } else if (!meta.database && (match = line.match(/^\\connect\s+(?:-reuse-previous=\S+\s+)?(.+)$/))) {
+                meta.database = unquoteIdent(match[1]);
+            } else if (current && !line.startsWith('--')) {
+                current.defn += `${line}\n`;
+            }
+        }
+
+        // Plain dumps made with --create name the database in its own header
+        const database = objects.find(object => object.desc === 'DATABASE');
+        if (database && !meta.database) {
+            meta.database = database.name;
+        }
+
+        return { meta, objects };
+    }
+
+    // Shared report for both formats: objects are { desc, schema, name, owner, defn, dataSize }
+    static summarize(objects, meta) {
+        const dataFor = new Map();
+        for (const object of objects) {
+            if (object.desc === 'TABLE DATA') {
+                dataFor.set(`${object.schema}.${object.name}`, object.dataSize);
+            }
+        }
+
+        const tables = objects
+            .filter(object => object.desc === 'TABLE')
+            .map(object => {
+                const key = `${object.schema}.${object.name}`;
+                return {
+                    schema: object.schema,
+                    name: object.name,
+                    owner: object.owner || null,
+                    dataSize: dataFor.has(key) ? dataFor.get(key) : null
+                };
+            })
+            .sort((a, b) => (b.dataSize || 0) - (a.dataSize || 0) || `${a.schema}.${a.name}`.localeCompare(`${b.schema}.${b.name}`));
+
+        const schemas = [...new Set([
+            ...objects.filter(object => object.desc === 'SCHEMA').map(object => object.name),
+            ...objects.filter(object => object.schema).map(object => object.schema)
+        ])].sort();
+
+        const extensions = [...new Set(objects.filter(object => object.desc === 'EXTENSION').map(object => object.name))].sort();
+
+        const roles = new Set();
+        for (const object of objects) {
+            if (object.owner) {
+                roles.add(object.owner);
+            }
+            if (object.desc === 'ACL' || object.desc === 'DEFAULT ACL') {
+                object.defn.split(/;\s*\n/).forEach(statement => rolesInStatement(`${statement};`).forEach(role => roles.add(role)));
+            }
+        }
+
+        // pg_dump 17+ groups large objects into BLOB METADATA entries: archives list their OIDs,
+        // plain SQL has one lo_create() per object
+        const largeObjectCount = objects.reduce((count, object) => {
+            if (object.desc === 'BLOB') return count + 1;
+            if (object.desc === 'BLOB METADATA') {
+                const creates = (object.defn.match(/lo_create\(/g) || []).length;
+                return count + (creates || (object.defn.match(/\d+/g) || []).length);
+            }
+            return count;
+        }, 0);
+        const largeObjectSize = objects
+            .filter(object => object.desc === 'BLOBS')
+            .reduce((sum, object) => sum + (object.dataSize || 0), 0);
+
+        const sizes = tables.map(table => table.dataSize).filter(size => size !== null);
+
+        return {
+            ...meta,
+            schemas,
+            extensions,
+            roles: [...roles].sort(),
+            tables,
+            totalDataSize: sizes.length > 0 ? sizes.reduce((sum, size) => sum + size, 0) : null,
+            largeObjects: { count: largeObjectCount, dataSize: largeObjectCount > 0 ? largeObjectSize : null }
+        };
+    }
+}
+
+DumpInspector.rolesInStatement = rolesInStatement;
+
+module.exports = DumpInspector;
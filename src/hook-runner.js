@@ -0,0 +1,177 @@
+// Runs the hooks configured for a service at fixed points of a restore. A hook is a SQL file, run with
+// psql in the database being restored, or a shell command, which finds the restore details and the
+// connection settings in its environment. Hooks of a phase run in order; the first failure stops the
+// phase unless the hook sets "continueOnError".
+const fs = require('fs');
+const path = require('path');
+const ProcessExecutor = require('./process-executor');
+const PlatformUtils = require('./platform-utils');
+
+const PHASES = ['pre-restore', 'post-restore', 'post-verify', 'on-failure'];
+
+// "reset.sql" -> SQL hook, anything else -> shell command; objects name one of "sql" or "command".
+// Relative paths and the working directory of commands are taken from the hooks file's directory.
+function parseHook(entry, baseDir, label) {
+    const spec = typeof entry === 'string'
+        ? (/\.sql$/i.test(entry) ? { sql: entry } : { command: entry })
+        : (entry || {});
+    const { sql = null, command = null, cwd = null, continueOnError = false } = spec;
+
+    if ((sql === null) === (command === null) || [sql, command].some(value => value !== null && (typeof value !== 'string' || value.trim() === ''))) {
+        throw new Error(`Hook in ${label}: expected a .sql file, a command, or an object with either "sql" or "command"`);
+    }
+
+    if (sql !== null) {
+        const file = path.resolve(baseDir, sql);
+        if (!fs.existsSync(file)) {
+            throw new Error(`Hook in ${label}: SQL file ${file} not found`);
+        }
+        return { type: 'sql', name: sql, file, continueOnError: continueOnError === true };
+    }
+    return { type: 'command', name: command, command, cwd: path.resolve(baseDir, cwd || '.'), continueOnError: continueOnError === true };
+}
+
+class HookRunner {
+    // hooks as returned by loadHooks; file is where they came from, for reports
+    constructor(pg, hooks, file = null) {
+        this.pg = pg;
+        this.hooks = hooks;
+        this.file = file;
+        // Every hook run so far: { phase, hook, type, status, durationMs, error }
+        this.results = [];
+    }
+
+    // Hooks from a JSON file of the form { "hooks": { "post-restore": ["reset-sequences.sql", "npm run migrate"] },
+    // "environments": { "stage": { "post-verify": [{ "command": "./flags.sh", "continueOnError": true }] } } }.
+    // Hooks of `environment` run after the service-wide ones of the same phase. Returns { phase: [hook] }.
+    static loadHooks(filePath, environment) {
+        let content;
+        try {
+            content = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            throw new Error(`Could not read hooks ${filePath}: ${error.message}`);
+        }
+        const isObject = value => typeof value === 'object' && value !== null && !Array.isArray(value);
+        if (!isObject(content) || !isObject(content.hooks || {}) || !isObject(content.environments || {})) {
+            throw new Error(`Hooks ${filePath} need a "hooks" object mapping phases to hooks, and optionally "environments"`);
+        }
+
+        const sections = [['hooks', content.hooks || {}]];
+        const environmentHooks = environment && (content.environments || {})[environment];
+        if (environmentHooks) {
+            sections.push([`environments.${environment}`, environmentHooks]);
+        }
+
+        const baseDir = path.dirname(path.resolve(filePath));
+        const hooks = Object.fromEntries(PHASES.map(phase => [phase, []]));
+        for (const [label, section] of sections) {
+            if (!isObject(section)) {
+                throw new Error(`Hooks ${filePath}: ${label} should map phases to hooks`);
+            }
+            for (const [phase, entries] of Object.entries(section)) {
+                if (!PHASES.includes(phase)) {
+                    throw new Error(`Hooks ${filePath}: unknown phase "${phase}" in ${label}. Expected one of: ${PHASES.join(', ')}`);
+                }
+                hooks[phase].push(...[].concat(entries).map(entry => parseHook(entry, baseDir, `${label}.${phase}`)));
+            }
+        }
+        return hooks;
+    }
+
+    count() {
+        return PHASES.reduce((sum, phase) => sum + this.hooks[phase].length, 0);
+    }
+
+    // Record the hooks of `phase` as skipped without running them
+    skip(phase, reason) {
+        for (const hook of this.hooks[phase]) {
+            this.results.push({ phase, hook: hook.name, type: hook.type, status: 'skipped', durationMs: 0, error: reason });
+            console.log(`⏭️  ${hook.name}: skipped, ${reason}`);
+        }
+    }
+
+    // Settings passed to every hook; commands get them as environment variables, SQL files as psql variables
+    variables(phase, context) {
+        return {
+            DB_RESTORE_PHASE: phase,
+            DB_RESTORE_DATABASE: context.database || '',
+            DB_RESTORE_TARGET: context.target || '',
+            DB_RESTORE_SERVICE: context.service || '',
+            DB_RESTORE_ENV: context.environment || '',
+            DB_RESTORE_BACKUP: context.backup || '',
+            DB_RESTORE_ERROR: context.error || ''
+        };
+    }
+
+    // Run the hooks of `phase`. context: { database, target, service, environment, backup, error }, where
+    // database is the one being worked on (e.g. <target>__restoring) or null when it does not exist yet.
+    // Returns the number of hooks that ran; throws on the first failure not marked continueOnError.
+    async run(phase, context) {
+        const hooks = this.hooks[phase];
+        if (hooks.length === 0) {
+            return 0;
+        }
+
+        console.log(`\n🪝 Running ${hooks.length} ${phase} hook(s)...`);
+        const variables = this.variables(phase, context);
+        const env = {
+            ...this.pg.getEnv(),
+            PGHOST: this.pg.settings.host,
+            PGPORT: String(this.pg.settings.port),
+            PGUSER: this.pg.settings.user,
+            ...(context.database ? { PGDATABASE: context.database } : {}),
+            ...variables
+        };
+        const output = line => {
+            if (line.trim()) console.log(`   │ ${line}`);
+        };
+
+        let ran = 0;
+        for (const hook of hooks) {
+            const result = { phase, hook: hook.name, type: hook.type, status: 'ok', durationMs: 0, error: null };
+            this.results.push(result);
+
+            if (hook.type === 'sql' && !context.database) {
+                result.status = 'skipped';
+                result.error = 'the database does not exist yet';
+                console.log(`⏭️  ${hook.name}: skipped, ${result.error}`);
+                continue;
+            }
+
+            console.log(`▶️  ${hook.name}`);
+            const startedAt = Date.now();
+            try {
+                if (hook.type === 'sql') {
+                    const psqlVariables = Object.entries(variables).flatMap(([name, value]) => ['-v', `${name.toLowerCase()}=${value}`]);
+                    await this.pg.psql(context.database, ['-v', 'ON_ERROR_STOP=1', ...psqlVariables, '-f', hook.file], { env, onStdout: output, onStderr: output });
+                } else {
+                    const [shell, args] = PlatformUtils.isWindows()
+                        ? [process.env.ComSpec || 'cmd.exe', ['/d', '/s', '/c', hook.command]]
+                        : ['/bin/sh', ['-c', hook.command]];
+                    await ProcessExecutor.run(shell, args, { env, cwd: hook.cwd, onStdout: output, onStderr: output });
+                }
+                ran += 1;
+            } catch (error) {
+                result.status = 'failed';
+                // The output was shown live; keep the psql error or the exit code for the report
+                result.error = hook.type === 'sql' && error.stderr
+                    ? error.stderr.trim().split('\n').pop()
+                    : error.status !== undefined && error.status !== null ? `exit code ${error.status}` : error.message;
+            }
+            result.durationMs = Date.now() - startedAt;
+
+            if (result.status === 'ok') {
+                console.log(`✅ ${hook.name} (${(result.durationMs / 1000).toFixed(1)}s)`);
+            } else if (hook.continueOnError) {
+                console.warn(`⚠️  ${hook.name} failed (${result.error}); continuing as configured`);
+            } else {
+                throw new Error(`${phase} hook ${hook.name} failed: ${result.error}`);
+            }
+        }
+        return ran;
+    }
+}
+
+HookRunner.PHASES = PHASES;
+
+module.exports = HookRunner;
@@ -0,0 +1,50 @@
+// Helpers for printing command results as tables or JSON
+
+class OutputUtils {
+    // Render rows as an aligned text table; columns is a list of { header, key }
+    static printTable(columns, rows) {
+        if (rows.length === 0) {
+            console.log('(no results)');
+            return;
+        }
+
+        const cells = rows.map(row => columns.map(col => {
+            const value = typeof col.key === 'function' ? col.key(row) : row[col.key];
+            return value === null || value === undefined ? '' : String(value);
+        }));
+
+        const widths = columns.map((col, index) =>
+            Math.max(col.header.length, ...cells.map(rowCells => rowCells[index].length))
+        );
+
+        const formatLine = values => values
+            .map((value, index) => value.padEnd(widths[index]))
+            .join('  ')
+            .trimEnd();
+
+        console.log(formatLine(columns.map(col => col.header)));
+        console.log(widths.map(width => '-'.repeat(width)).join('  '));
+        cells.forEach(rowCells => console.log(formatLine(rowCells)));
+    }
+
+    static printJson(data) {
+        process.stdout.write(JSON.stringify(data, null, 2) + '\n');
+    }
+
+    // Run fn with console.log redirected to stderr, keeping stdout clean for JSON output
+    static async withLogsOnStderr(enabled, fn) {
+        if (!enabled) {
+            return fn();
+        }
+
+        const originalLog = console.log;
+        console.log = (...args) => console.error(...args);
+        try {
+            return await fn();
+        } finally {
+            console.log = originalLog;
+        }
+    }
+}
+
+module.exports = OutputUtils;
@@ -1,4 +1,4 @@
-const { execSync } = require('child_process');
+const { spawnSync } = require('child_process');
 const path = require('path');
 const fs = require('fs');
 const os = require('os');
@@ -27,8 +27,8 @@ class PlatformUtils {
             }
             
             // Fallback: check lsb_release command
-            const result = execSync('lsb_release -i', { stdio: 'pipe', encoding: 'utf8' });
-            return result.toLowerCase().includes('ubuntu');
+            const result = spawnSync('lsb_release', ['-i'], { encoding: 'utf8' });
+            return (result.stdout || '').toLowerCase().includes('ubuntu');
         } catch (error) {
             // If we can't determine, assume it might be Ubuntu if it's Linux
             return false;
@@ -47,8 +47,8 @@ class PlatformUtils {
                 }
             }
             
-            const result = execSync('lsb_release -d', { stdio: 'pipe', encoding: 'utf8' });
-            const match = result.match(/Description:\s*(.+)/);
+            const result = spawnSync('lsb_release', ['-d'], { encoding: 'utf8' });
+            const match = (result.stdout || '').match(/Description:\s*(.+)/);
             return match ? match[1].trim() : 'Ubuntu';
         } catch (error) {
             return 'Ubuntu';
@@ -110,11 +110,8 @@ class PlatformUtils {
         if (this.isWindows()) {
             const extensions = ['', '.exe', '.cmd', '.bat'];
             for (const ext of extensions) {
-                try {
-                    execSync(`where ${command}${ext}`, { stdio: 'pipe' });
+                if (this.commandSucceeds('where', [command + ext])) {
                     return command + ext;
-                } catch (e) {
-                    // continue searching
                 }
             }
         }
@@ -123,49 +120,69 @@ class PlatformUtils {
 
     static getTarCommand() {
         if (this.isWindows()) {
-            try {
-                execSync('tar --version', { stdio: 'pipe' });
+            if (this.commandSucceeds('tar', ['--version'])) {
                 return 'tar';
-            } catch (e) {
-                try {
-                    execSync('7z', { stdio: 'pipe' });
-                    return '7z';
-                } catch (e2) {
-                    throw new Error('No suitable archive extraction tool found. Please install 7-Zip or use Windows 10+ built-in tar.');
-                }
             }
+            // 7z without arguments prints its usage and exits 0
+            if (this.commandSucceeds('7z', [])) {
+                return '7z';
+            }
+            throw new Error('No suitable archive extraction tool found. Please install 7-Zip or use Windows 10+ built-in tar.');
         }
         return 'tar';
     }
 
-    static getRemoveCommand(dirPath) {
+    // Per-user cache directory (XDG on Linux, ~/Library/Caches on macOS, %LOCALAPPDATA% on Windows)
+    static getUserCacheDir() {
         if (this.isWindows()) {
-            return `rmdir /s /q "${dirPath}"`;
+            return path.join(process.env.LOCALAPPDATA || path.join(os.homedir(), 'AppData', 'Local'), 'db-restore', 'Cache');
         }
-        return `rm -rf "${dirPath}"`;
+        if (this.isMacOS()) {
+            return path.join(os.homedir(), 'Library', 'Caches', 'db-restore');
+        }
+        return path.join(process.env.XDG_CACHE_HOME || path.join(os.homedir(), '.cache'), 'db-restore');
     }
 
-    static escapeShellArg(arg) {
+    // Per-user config directory (XDG_CONFIG_HOME on Linux, ~/Library/Application Support on macOS, %APPDATA% on Windows)
+    static getUserConfigDir() {
         if (this.isWindows()) {
-            // Windows cmd escaping - wrap in double quotes and escape internal quotes
-            return `"${arg.replace(/"/g, '""')}"`;
-        } else {
-            // Unix/Linux shell escaping - use single quotes and handle embedded single quotes
-            return `'${arg.replace(/'/g, "'\"'\"'")}'`;
+            return path.join(process.env.APPDATA || path.join(os.homedir(), 'AppData', 'Roaming'), 'db-restore');
+        }
+        if (this.isMacOS()) {
+            return path.join(os.homedir(), 'Library', 'Application Support', 'db-restore');
         }
+        return path.join(process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config'), 'db-restore');
     }
 
-    static getGunzipCommand(inputPath, outputPath) {
+    // Per-user data directory for files that must survive cache cleanups (XDG_DATA_HOME on Linux,
+    // ~/Library/Application Support on macOS, %LOCALAPPDATA% on Windows)
+    static getUserDataDir() {
         if (this.isWindows()) {
-            const powershellCmd = `powershell -Command "& {$input = [System.IO.File]::OpenRead('${inputPath.replace(/\\/g, '\\\\')}'); $gzip = New-Object System.IO.Compression.GzipStream($input, [System.IO.Compression.CompressionMode]::Decompress); $output = [System.IO.File]::Create('${outputPath.replace(/\\/g, '\\\\')}'); $gzip.CopyTo($output); $gzip.Close(); $output.Close(); $input.Close()}"`;
-            try {
-                execSync('powershell -Command "Get-Command Expand-Archive"', { stdio: 'pipe' });
-                return powershellCmd;
-            } catch (e) {
-                return `7z x "${inputPath}" -o"${path.dirname(outputPath)}"`;
+            return path.join(process.env.LOCALAPPDATA || path.join(os.homedir(), 'AppData', 'Local'), 'db-restore', 'Data');
+        }
+        if (this.isMacOS()) {
+            return path.join(os.homedir(), 'Library', 'Application Support', 'db-restore');
+        }
+        return path.join(process.env.XDG_DATA_HOME || path.join(os.homedir(), '.local', 'share'), 'db-restore');
+    }
+
+    // Rename, falling back to copy + delete when source and destination are on different devices
+    static moveFile(sourcePath, destPath) {
+        try {
+            fs.renameSync(sourcePath, destPath);
+        } catch (error) {
+            if (error.code !== 'EXDEV') {
+                throw error;
             }
+            fs.copyFileSync(sourcePath, destPath);
+            fs.unlinkSync(sourcePath);
         }
-        return `gunzip -c ${this.escapeShellArg(inputPath)} > ${this.escapeShellArg(outputPath)}`;
+    }
+
+    // Run a command (no shell) and report whether it exited with status 0
+    static commandSucceeds(command, args) {
+        const result = spawnSync(command, args, { stdio: 'ignore', windowsHide: true });
+        return !result.error && result.status === 0;
     }
 
     static validatePostgreSQLTools() {
@@ -173,10 +190,7 @@ class PlatformUtils {
         const missing = [];
 
         for (const tool of tools) {
-            try {
-                const cmd = this.getCommandPath(tool);
-                execSync(`${cmd} --version`, { stdio: 'pipe' });
-            } catch (e) {
+            if (!this.commandSucceeds(this.getCommandPath(tool), ['--version'])) {
                 missing.push(tool);
             }
         }
@@ -0,0 +1,140 @@
+// Thin wrapper around psql/pg_restore/pg_isready built on ProcessExecutor.
+// Identifiers and literals interpolated into SQL must go through quoteIdent/quoteLiteral.
+const CONFIG = require('../config');
+const ProcessExecutor = require('./process-executor');
+
+// Unit separator: cannot appear in identifiers we query, unlike "|"
+const FIELD_SEPARATOR = '\x1f';
+
+class PostgresClient {
+    constructor(settings = CONFIG.postgres) {
+        this.settings = settings;
+    }
+
+    // "name" -> "name", a"b -> "a""b"
+    static quoteIdent(name) {
+        return `"${String(name).replace(/"/g, '""')}"`;
+    }
+
+    // Standard-conforming literal; values containing backslashes use E'' so they are unambiguous
+    static quoteLiteral(value) {
+        if (value === null || value === undefined) {
+            return 'NULL';
+        }
+        const text = String(value).replace(/'/g, "''");
+        return text.includes('\\') ? `E'${text.replace(/\\/g, '\\\\')}'` : `'${text}'`;
+    }
+
+    // schema.name with both parts quoted
+    static qualifiedName(schema, name) {
+        return `${PostgresClient.quoteIdent(schema)}.${PostgresClient.quoteIdent(name)}`;
+    }
+
+    // "<name>__<suffix>", with name shortened so the result fits PostgreSQL's 63-byte identifier limit
+    static suffixedName(name, suffix, separator = '__') {
+        const tail = `${separator}${suffix}`;
+        let base = String(name);
+        while (Buffer.byteLength(base + tail) > 63) {
+            base = base.slice(0, -1);
+        }
+        return base + tail;
+    }
+
+    // libpq treats a -d value containing "=" or starting with a postgres:// URI as a connection
+    // string; such names are wrapped in a quoted dbname='...' so they stay literal
+    static databaseArg(dbName) {
+        const name = String(dbName);
+        if (!name.includes('=') && !/^postgres(ql)?:\/\//.test(name)) {
+            return name;
+        }
+        return `dbname='${name.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+    }
+
+    getEnv() {
+        const env = { ...process.env };
+
+        // Set PGPASSWORD if a password is configured
+        if (this.settings.password) {
+            env.PGPASSWORD = this.settings.password;
+        } else if (process.env.PGPASSWORD) {
+            // Use existing PGPASSWORD from environment
+            env.PGPASSWORD = process.env.PGPASSWORD;
+        } else {
+            // Set empty password to avoid prompts for trust authentication
+            env.PGPASSWORD = '';
+        }
+
+        return env;
+    }
+
+    serverArgs() {
+        return ['-h', this.settings.host, '-p', String(this.settings.port)];
+    }
+
+    connectionArgs(dbName) {
+        return [...this.serverArgs(), '-U', this.settings.user, '-d', PostgresClient.databaseArg(dbName)];
+    }
+
+    // "16.4" from "pg_restore (PostgreSQL) 16.4 (Ubuntu 16.4-1.pgdg22.04+1)"; null if the tool is missing
+    static async toolVersion(tool) {
+        try {
+            const { stdout } = await ProcessExecutor.run(tool, ['--version']);
+            const match = stdout.match(/\(PostgreSQL\)\s+(\d+(?:\.\d+)*)/);
+            return match ? match[1] : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // server_version of the configured server, e.g. "16.4" or "16.4 (Debian 16.4-1.pgdg120+1)"
+    async serverVersion() {
+        return this.queryValue('postgres', 'SHOW server_version');
+    }
+
+    async isReady() {
+        const result = await ProcessExecutor.run('pg_isready', this.serverArgs(), { env: this.getEnv(), allowFailure: true });
+        return result.status === 0;
+    }
+
+    // Run one SQL statement (or several separated by ";") and return unaligned, tuples-only output
+    async query(dbName, sql, options = {}) {
+        const args = [...this.connectionArgs(dbName), '-X', '-q', '-t', '-A', '-v', 'ON_ERROR_STOP=1', '-c', sql];
+        const { stdout } = await ProcessExecutor.run('psql', args, { env: this.getEnv(), ...options });
+        return stdout.trim();
+    }
+
+    // Rows as arrays of column strings
+    async queryRows(dbName, sql) {
+        const args = [...this.connectionArgs(dbName), '-X', '-q', '-t', '-A', '-F', FIELD_SEPARATOR, '-v', 'ON_ERROR_STOP=1', '-c', sql];
+        const { stdout } = await ProcessExecutor.run('psql', args, { env: this.getEnv() });
+        return stdout
+            .split(/\r?\n/)
+            .filter(line => line.length > 0)
+            .map(line => line.split(FIELD_SEPARATOR));
+    }
+
+    // First column of the first row, or null
+    async queryValue(dbName, sql) {
+        const rows = await this.queryRows(dbName, sql);
+        return rows.length > 0 ? rows[0][0] : null;
+    }
+
+    // psql with caller-supplied arguments (e.g. -f file), connected to dbName
+    async psql(dbName, args, options = {}) {
+        return ProcessExecutor.run('psql', [...this.connectionArgs(dbName), '-X', ...args], { env: this.getEnv(), ...options });
+    }
+
+    // pg_dump of dbName with caller-supplied arguments (e.g. -Fc -f file)
+    async pgDump(dbName, args, options = {}) {
+        return ProcessExecutor.run('pg_dump', [...this.connectionArgs(dbName), ...args], { env: this.getEnv(), ...options });
+    }
+
+    // pg_restore into dbName with caller-supplied arguments
+    async pgRestore(dbName, args, options = {}) {
+        return ProcessExecutor.run('pg_restore', [...this.connectionArgs(dbName), ...args], { env: this.getEnv(), ...options });
+    }
+}
+
+PostgresClient.FIELD_SEPARATOR = FIELD_SEPARATOR;
+
+module.exports = PostgresClient;
@@ -0,0 +1,137 @@
+// Runs external binaries with argument arrays (never through a shell), so database names,
+// hosts and paths are passed verbatim and cannot break or inject into a command line
+const { spawn, spawnSync } = require('child_process');
+const PlatformUtils = require('./platform-utils');
+
+// Output kept in memory per stream; a verbose restore can print far more than this
+const DEFAULT_MAX_OUTPUT = 10 * 1024 * 1024;
+
+class ProcessError extends Error {
+    constructor(command, args, status, stdout, stderr, cause = null) {
+        const display = ProcessExecutor.formatCommand(command, args);
+        const detail = cause ? cause.message : (stderr || '').trim() || `exit code ${status}`;
+        super(`Command failed: ${display}\n${detail}`);
+        this.name = 'ProcessError';
+        this.command = command;
+        this.args = args;
+        this.status = status;
+        this.stdout = stdout;
+        this.stderr = stderr;
+        this.code = cause ? cause.code : undefined;
+    }
+}
+
+// Append to a bounded buffer, keeping the tail (where errors usually are)
+function appendBounded(current, data, limit) {
+    const next = current + data;
+    return next.length > limit ? next.slice(next.length - limit) : next;
+}
+
+class ProcessExecutor {
+    // Spawn command asynchronously. stdout/stderr are collected and, when given,
+    // forwarded line by line to onStdout/onStderr as they arrive. `input` may be a
+    // string/Buffer or a readable stream that is piped to stdin. Aborting `signal` kills the process.
+    static run(command, args = [], options = {}) {
+        const {
+            env = process.env,
+            cwd,
+            input = null,
+            onStdout = null,
+            onStderr = null,
+            allowFailure = false,
+            maxOutput = DEFAULT_MAX_OUTPUT,
+            signal
+        } = options;
+
+        return new Promise((resolve, reject) => {
+            const child = spawn(PlatformUtils.getCommandPath(command), args, {
+                env,
+                cwd,
+                stdio: [input === null ? 'ignore' : 'pipe', 'pipe', 'pipe'],
+                windowsHide: true,
+                signal
+            });
+
+            let stdout = '';
+            let stderr = '';
+            const lineBuffers = { stdout: '', stderr: '' };
+
+            const handle = (name, callback) => (data) => {
+                const text = data.toString();
+                if (name === 'stdout') {
+                    stdout = appendBounded(stdout, text, maxOutput);
+                } else {
+                    stderr = appendBounded(stderr, text, maxOutput);
+                }
+
+                if (callback) {
+                    const lines = (lineBuffers[name] + text).split(/\r?\n/);
+                    lineBuffers[name] = lines.pop();
+                    lines.forEach(line => callback(line));
+                }
+            };
+
+            child.stdout.on('data', handle('stdout', onStdout));
+            child.stderr.on('data', handle('stderr', onStderr));
+
+            if (input !== null) {
+                // EPIPE when the process exits early is reported through its exit code
+                child.stdin.on('error', () => {});
+                if (typeof input.pipe === 'function') {
+                    input.pipe(child.stdin);
+                } else {
+                    child.stdin.end(input);
+                }
+            }
+
+            child.on('error', (error) => {
+                reject(new ProcessError(command, args, null, stdout, stderr, error));
+            });
+
+            child.on('close', (status) => {
+                if (onStdout && lineBuffers.stdout) onStdout(lineBuffers.stdout);
+                if (onStderr && lineBuffers.stderr) onStderr(lineBuffers.stderr);
+
+                if (status !== 0 && !allowFailure) {
+                    reject(new ProcessError(command, args, status, stdout, stderr));
+                } else {
+                    resolve({ status, stdout, stderr });
+                }
+            });
+        });
+    }
+
+    // Blocking variant for short commands (version checks, catalog queries)
+    static runSync(command, args = [], options = {}) {
+        const { env = process.env, cwd, input, allowFailure = false, maxOutput = DEFAULT_MAX_OUTPUT } = options;
+
+        const result = spawnSync(PlatformUtils.getCommandPath(command), args, {
+            env,
+            cwd,
+            input,
+            encoding: 'utf8',
+            maxBuffer: maxOutput,
+            windowsHide: true
+        });
+
+        if (result.error) {
+            throw new ProcessError(command, args, result.status, result.stdout, result.stderr, result.error);
+        }
+        if (result.status !== 0 && !allowFailure) {
+            throw new ProcessError(command, args, result.status, result.stdout, result.stderr);
+        }
+
+        return { status: result.status, stdout: result.stdout || '', stderr: result.stderr || '' };
+    }
+
+    // Human-readable command line for logs; quoting is for display only, nothing is run through a shell
+    static formatCommand(command, args = []) {
+        return [command, ...args]
+            .map(arg => /^[\w@%+=:,./-]+$/.test(arg) ? arg : `'${String(arg).replace(/'/g, `'\\''`)}'`)
+            .join(' ');
+    }
+}
+
+ProcessExecutor.ProcessError = ProcessError;
+
+module.exports = ProcessExecutor;
@@ -0,0 +1,95 @@
+// Single-line progress bar with transferred bytes (or item counts), rate and ETA
+
+const RENDER_INTERVAL_MS = 200;
+const BAR_WIDTH = 25;
+
+class ProgressBar {
+    // unit: 'bytes' (default) or 'items' for counted work such as pg_restore TOC entries
+    constructor(label, total, initial = 0, { unit = 'bytes' } = {}) {
+        this.label = label;
+        this.unit = unit;
+        this.total = total;
+        this.current = initial;
+        this.startBytes = initial;
+        this.startTime = Date.now();
+        this.lastRender = 0;
+        this.lastLoggedPercent = -1;
+        this.interactive = Boolean(process.stdout.isTTY);
+    }
+
+    tick(bytes) {
+        this.update(this.current + bytes);
+    }
+
+    update(current) {
+        this.current = current;
+        const now = Date.now();
+        if (now - this.lastRender >= RENDER_INTERVAL_MS) {
+            this.lastRender = now;
+            this.render();
+        }
+    }
+
+    finish() {
+        this.render(true);
+        if (this.interactive) {
+            process.stdout.write('\n');
+        }
+    }
+
+    render(final = false) {
+        const percent = this.total > 0 ? Math.min(100, (this.current / this.total) * 100) : 0;
+        const elapsedSeconds = (Date.now() - this.startTime) / 1000;
+        const rate = elapsedSeconds > 0 ? (this.current - this.startBytes) / elapsedSeconds : 0;
+        const remaining = rate > 0 ? (this.total - this.current) / rate : null;
+
+        const filled = Math.round((percent / 100) * BAR_WIDTH);
+        const bar = '█'.repeat(filled) + '░'.repeat(BAR_WIDTH - filled);
+        const format = this.unit === 'items' ? value => String(Math.round(value)) : ProgressBar.formatBytes;
+        const line = `${this.label} [${bar}] ${percent.toFixed(1)}% ` +
+            `${format(this.current)} / ${format(this.total)}${this.unit === 'items' ? ' items' : ''} ` +
+            `${format(rate)}/s ETA ${final ? '0s' : ProgressBar.formatDuration(remaining)}`;
+
+        if (this.interactive) {
+            process.stdout.write(`\r${line}\x1b[K`);
+        } else {
+            // Without a TTY, log a line every 10% instead of redrawing
+            const step = Math.floor(percent / 10) * 10;
+            if (step > this.lastLoggedPercent || (final && this.lastLoggedPercent < 100)) {
+                this.lastLoggedPercent = step;
+                console.log(line);
+            }
+        }
+    }
+
+    // Print a log line without tearing the bar: clear it, log, then redraw
+    log(line) {
+        if (this.interactive) {
+            process.stdout.write('\r\x1b[K');
+            console.log(line);
+            this.render();
+        } else {
+            console.log(line);
+        }
+    }
+
+    static formatBytes(bytes) {
+        const sizes = ['B', 'KB', 'MB', 'GB', 'TB'];
+        if (!bytes || bytes < 1) return '0 B';
+        const i = Math.min(sizes.length - 1, Math.floor(Math.log(bytes) / Math.log(1024)));
+        return (bytes / Math.pow(1024, i)).toFixed(i === 0 ? 0 : 1) + ' ' + sizes[i];
+    }
+
+    static formatDuration(seconds) {
+        if (seconds === null || !isFinite(seconds)) return '--';
+        const total = Math.round(seconds);
+        const h = Math.floor(total / 3600);
+        const m = Math.floor((total % 3600) / 60);
+        const s = total % 60;
+        if (h > 0) return `${h}h ${String(m).padStart(2, '0')}m`;
+        if (m > 0) return `${m}m ${String(s).padStart(2, '0')}s`;
+        return `${s}s`;
+    }
+}
+
+module.exports = ProgressBar;
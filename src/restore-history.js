@@ -0,0 +1,54 @@
+const fs = require('fs');
+const path = require('path');
+
+// Local record of restore runs, oldest first, so `db-restore history` can list them and
+// `db-restore rerun` can repeat one. Runs get increasing ids; only the newest `limit` are kept.
+class RestoreHistory {
+    constructor(filePath, limit) {
+        this.filePath = filePath;
+        this.limit = limit;
+    }
+
+    load() {
+        try {
+            return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        } catch (error) {
+            return { nextId: 1, runs: [] };
+        }
+    }
+
+    // Write through a temp file so an interrupted run never leaves a half-written history
+    save(history) {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        const tempPath = `${this.filePath}.${process.pid}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(history, null, 2));
+        fs.renameSync(tempPath, this.filePath);
+    }
+
+    // Append a run and return it with its id
+    add(run) {
+        const history = this.load();
+        const entry = { id: history.nextId, ...run };
+        history.nextId += 1;
+        history.runs.push(entry);
+        history.runs = history.runs.slice(-this.limit);
+        this.save(history);
+        return entry;
+    }
+
+    list() {
+        return this.load().runs;
+    }
+
+    // Run by id, or the newest one for "last"; null when there is none
+    find(ref) {
+        const runs = this.list();
+        if (String(ref) === 'last') {
+            return runs.length > 0 ? runs[runs.length - 1] : null;
+        }
+        const id = Number(ref);
+        return runs.find(run => run.id === id) || null;
+    }
+}
+
+module.exports = RestoreHistory;
@@ -0,0 +1,121 @@
+// Creates the roles a dump refers to (owners and grantees) so it can be restored with its original
+// ownership and privileges. Role definitions come from a `pg_dumpall --globals-only` file when one
+// is available; any role still missing is created as a plain NOLOGIN role.
+const PostgresClient = require('./postgres-client');
+
+const IDENT = '("(?:[^"]|"")*"|[^\\s;,"]+)';
+
+function unquoteIdent(text) {
+    return /^".*"$/.test(text) ? text.slice(1, -1).replace(/""/g, '"') : text;
+}
+
+class RoleProvisioner {
+    constructor(pg) {
+        this.pg = pg;
+    }
+
+    // Role statements of a globals file: { roles: Map(name -> [statements]), memberships: [{ role, member, statement }] }.
+    // pg_dumpall writes each of these statements on a single line.
+    static parseGlobals(sql) {
+        const roles = new Map();
+        const memberships = [];
+        const add = (name, statement) => {
+            if (!roles.has(name)) {
+                roles.set(name, []);
+            }
+            roles.get(name).push(statement);
+        };
+
+        for (const line of sql.split(/\r?\n/)) {
+            let match;
+            if ((match = line.match(new RegExp(`^CREATE ROLE ${IDENT};$`)))) {
+                add(unquoteIdent(match[1]), line);
+            } else if ((match = line.match(new RegExp(`^ALTER ROLE ${IDENT} WITH (.*);$`)))) {
+                // Password hashes stay on the source server; local copies of login roles need their own
+                const attributes = match[2].replace(/\s*\bPASSWORD\s+('(?:[^']|'')*'|NULL)/gi, '');
+                add(unquoteIdent(match[1]), `ALTER ROLE ${match[1]} WITH ${attributes};`);
+            } else if ((match = line.match(new RegExp(`^(?:ALTER ROLE ${IDENT} SET |COMMENT ON ROLE ${IDENT} IS )`)))) {
+                add(unquoteIdent(match[1] || match[2]), line);
+            } else if ((match = line.match(new RegExp(`^GRANT ${IDENT} TO ${IDENT}(.*?)(?: GRANTED BY ${IDENT})?;$`)))) {
+                // GRANTED BY names a role that may not exist locally
+                memberships.push({
+                    role: unquoteIdent(match[1]),
+                    member: unquoteIdent(match[2]),
+                    statement: `GRANT ${match[1]} TO ${match[2]}${match[3]};`
+                });
+            }
+        }
+
+        return { roles, memberships };
+    }
+
+    // Names from `names` with no role on the server
+    async missingRoles(names) {
+        if (names.length === 0) {
+            return [];
+        }
+        const list = names.map(name => PostgresClient.quoteLiteral(name)).join(', ');
+        const existing = new Set((await this.pg.queryRows('postgres', `SELECT rolname FROM pg_roles WHERE rolname IN (${list})`)).map(row => row[0]));
+        return names.filter(name => !existing.has(name));
+    }
+
+    async isSuperuser() {
+        return await this.pg.queryValue('postgres', 'SELECT rolsuper::int FROM pg_roles WHERE rolname = current_user') === '1';
+    }
+
+    // Create the missing roles among `names`, plus the roles they are members of in the globals file.
+    // Returns { fromGlobals, created, failed } lists of role names.
+    async provision(names, globals = null) {
+        const wanted = new Set(names);
+        if (globals) {
+            // Privileges often come through group roles, so follow memberships upwards
+            let grew = true;
+            while (grew) {
+                grew = false;
+                for (const { role, member } of globals.memberships) {
+                    if (wanted.has(member) && !wanted.has(role)) {
+                        wanted.add(role);
+                        grew = true;
+                    }
+                }
+            }
+        }
+
+        const missing = await this.missingRoles([...wanted].sort());
+        const result = { fromGlobals: [], created: [], failed: [] };
+
+        for (const name of missing) {
+            const statements = globals && globals.roles.get(name);
+            try {
+                if (statements) {
+                    for (const statement of statements) {
+                        await this.pg.query('postgres', statement);
+                    }
+                    result.fromGlobals.push(name);
+                } else {
+                    await this.pg.query('postgres', `CREATE ROLE ${PostgresClient.quoteIdent(name)} NOLOGIN`);
+                    result.created.push(name);
+                }
+            } catch (error) {
+                result.failed.push({ name, error: (error.stderr || error.message).trim().split('\n')[0] });
+            }
+        }
+
+        if (globals) {
+            const added = new Set([...result.fromGlobals, ...result.created]);
+            for (const { role, member, statement } of globals.memberships) {
+                if (added.has(role) || added.has(member)) {
+                    try {
+                        await this.pg.query('postgres', statement);
+                    } catch (error) {
+                        console.warn(`⚠️  Could not grant ${role} to ${member}: ${(error.stderr || error.message).trim().split('\n')[0]}`);
+                    }
+                }
+            }
+        }
+
+        return result;
+    }
+}
+
+module.exports = RoleProvisioner;
@@ -0,0 +1,138 @@
+// Per-service verification spec: tables that must exist and smoke queries whose single value must
+// meet assertions (e.g. enough users, recent orders). Every check runs, so the report shows all
+// failures at once rather than the first one.
+const fs = require('fs');
+const CliArgs = require('./cli-args');
+const PostgresClient = require('./postgres-client');
+
+const ASSERTIONS = ['min', 'max', 'equals', 'within'];
+
+// "schema.table" or "table" (public schema)
+function parseTable(name) {
+    const parts = String(name).split('.');
+    if (parts.length > 2 || parts.some(part => part === '')) {
+        throw new Error(`Verification spec: table "${name}" should be [schema.]table`);
+    }
+    return parts.length === 1 ? { schema: 'public', table: parts[0] } : { schema: parts[0], table: parts[1] };
+}
+
+class SmokeChecks {
+    constructor(pg) {
+        this.pg = pg;
+    }
+
+    // Spec from a JSON file of the form { "tables": ["public.users", "orders"], "checks": [
+    // { "name": "enough users", "query": "SELECT count(*) FROM users", "min": 1000 },
+    // { "query": "SELECT max(created_at) FROM orders", "within": "2d" } ] }
+    static loadSpec(filePath) {
+        let content;
+        try {
+            content = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            throw new Error(`Could not read verification spec ${filePath}: ${error.message}`);
+        }
+        if (!content || typeof content !== 'object' || !Array.isArray(content.tables || []) || !Array.isArray(content.checks || [])) {
+            throw new Error(`Verification spec ${filePath} needs a "tables" list and/or a "checks" list`);
+        }
+
+        const checks = (content.checks || []).map((check, i) => {
+            const { query, name = null, ...assertions } = check || {};
+            const label = name || `#${i + 1}`;
+            if (typeof query !== 'string' || query.trim() === '') {
+                throw new Error(`Verification check ${label}: "query" must be an SQL query returning one value`);
+            }
+            const unknown = Object.keys(assertions).filter(key => !ASSERTIONS.includes(key));
+            if (unknown.length > 0 || Object.keys(assertions).length === 0) {
+                throw new Error(`Verification check ${label}: expected one or more of ${ASSERTIONS.join(', ')}${unknown.length > 0 ? `, not ${unknown.join(', ')}` : ''}`);
+            }
+            for (const key of ['min', 'max']) {
+                if (assertions[key] !== undefined && typeof assertions[key] !== 'number') {
+                    throw new Error(`Verification check ${label}: "${key}" must be a number`);
+                }
+            }
+            return {
+                name: name || query.trim(),
+                // A trailing ";" would break the query once it is wrapped for "within"
+                query: query.trim().replace(/;+$/, ''),
+                min: assertions.min !== undefined ? assertions.min : null,
+                max: assertions.max !== undefined ? assertions.max : null,
+                equals: assertions.equals !== undefined ? assertions.equals : null,
+                within: assertions.within !== undefined ? CliArgs.parseDuration(assertions.within, `"within" of check ${label}`) : null,
+                withinText: assertions.within !== undefined ? String(assertions.within) : null
+            };
+        });
+
+        return { tables: (content.tables || []).map(parseTable), checks };
+    }
+
+    // What a check asserts, for the report
+    static describe(check) {
+        return [
+            check.min !== null ? `>= ${check.min}` : null,
+            check.max !== null ? `<= ${check.max}` : null,
+            check.equals !== null ? `= ${check.equals}` : null,
+            check.within !== null ? `within ${check.withinText} of the backup` : null
+        ].filter(Boolean).join(', ');
+    }
+
+    // Run the spec against dbName. backupDate anchors "within" checks.
+    // Returns [{ check, value, expected, passed, error }]; checks that cannot run count as failed.
+    async run(dbName, spec, { backupDate = null } = {}) {
+        const results = [];
+
+        for (const { schema, table } of spec.tables) {
+            const name = `${schema}.${table}`;
+            const exists = await this.pg.queryValue(dbName, `SELECT 1 WHERE to_regclass(${PostgresClient.quoteLiteral(PostgresClient.qualifiedName(schema, table))}) IS NOT NULL`) === '1';
+            results.push({ check: `table ${name} exists`, value: exists ? 'yes' : 'no', expected: 'yes', passed: exists, error: exists ? null : 'missing' });
+        }
+
+        for (const check of spec.checks) {
+            const result = { check: check.name, value: null, expected: SmokeChecks.describe(check), passed: false, error: null };
+            results.push(result);
+
+            let row;
+            try {
+                // "within" also needs the value as epoch seconds, which psql's text output does not give reliably
+                [row] = await this.pg.queryRows(dbName, check.within !== null
+                    ? `SELECT v, extract(epoch FROM v::timestamptz) FROM (${check.query}) AS q(v)`
+                    : check.query);
+            } catch (error) {
+                result.error = (error.stderr || error.message).trim().split('\n').pop();
+                continue;
+            }
+
+            const value = row && row[0] !== '' ? row[0] : null;
+            result.value = value;
+            if (value === null) {
+                result.error = 'no value (no rows or NULL)';
+                continue;
+            }
+
+            const failures = [];
+            const number = Number(value);
+            if ((check.min !== null || check.max !== null) && Number.isNaN(number)) {
+                failures.push('not a number');
+            } else {
+                if (check.min !== null && number < check.min) failures.push(`below ${check.min}`);
+                if (check.max !== null && number > check.max) failures.push(`above ${check.max}`);
+            }
+            if (check.equals !== null && (typeof check.equals === 'number' ? number !== check.equals : value !== String(check.equals))) {
+                failures.push(`not ${check.equals}`);
+            }
+            if (check.within !== null) {
+                if (!backupDate) {
+                    failures.push('backup date unknown');
+                } else if (backupDate.getTime() - Number(row[1]) * 1000 > check.within) {
+                    failures.push(`more than ${check.withinText} before the backup (${backupDate.toISOString()})`);
+                }
+            }
+
+            result.passed = failures.length === 0;
+            result.error = failures.length > 0 ? failures.join(', ') : null;
+        }
+
+        return results;
+    }
+}
+
+module.exports = SmokeChecks;
@@ -0,0 +1,135 @@
+const fs = require('fs');
+const path = require('path');
+const PostgresClient = require('./postgres-client');
+
+// Marks template snapshots: COMMENT ON DATABASE "<name>__snapshot_<stamp>" IS 'db-restore: snapshot of <name>, taken <iso>'
+const SNAPSHOT_COMMENT = 'db-restore: snapshot of';
+const DUMP_FILE = /^(\d{8})_(\d{6})\.dump$/;
+
+// 2024-01-15T10:30:00.000Z -> "20240115_103000" (UTC, sorts chronologically)
+function timestamp(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace('T', '_').slice(0, 15);
+}
+
+// Copies of a database taken before a restore overwrites it, so `db-restore rollback` can bring it back.
+// "template" snapshots are server-side copies (CREATE DATABASE ... TEMPLATE) found by their comment;
+// "dump" snapshots are pg_dump -Fc files under <snapshotDir>/<database>/.
+class SnapshotStore {
+    constructor(pg, snapshotDir) {
+        this.pg = pg;
+        this.snapshotDir = snapshotDir;
+    }
+
+    dumpDirectory(dbName) {
+        return path.join(this.snapshotDir, encodeURIComponent(dbName));
+    }
+
+    // Snapshot dbName with method "template" or "dump"; returns the new snapshot
+    async create(dbName, method) {
+        const createdAt = new Date();
+
+        if (method === 'template') {
+            const name = PostgresClient.suffixedName(dbName, `snapshot_${timestamp(createdAt)}`);
+            // CREATE DATABASE ... TEMPLATE fails while anyone else is connected to the source
+            await this.terminateConnections(dbName);
+            await this.pg.query('postgres', `CREATE DATABASE ${PostgresClient.quoteIdent(name)} TEMPLATE ${PostgresClient.quoteIdent(dbName)}`);
+            await this.pg.query('postgres', `COMMENT ON DATABASE ${PostgresClient.quoteIdent(name)} IS ${PostgresClient.quoteLiteral(`${SNAPSHOT_COMMENT} ${dbName}, taken ${createdAt.toISOString()}`)}`);
+            return { method, database: dbName, name, createdAt, size: null };
+        }
+
+        if (method === 'dump') {
+            const directory = this.dumpDirectory(dbName);
+            fs.mkdirSync(directory, { recursive: true });
+            const filePath = path.join(directory, `${timestamp(createdAt)}.dump`);
+            // Written under a temporary name so an interrupted pg_dump never looks like a snapshot
+            const partialPath = `${filePath}.partial`;
+            try {
+                await this.pg.pgDump(dbName, ['-Fc', '-f', partialPath]);
+            } catch (error) {
+                fs.rmSync(partialPath, { force: true });
+                throw error;
+            }
+            fs.renameSync(partialPath, filePath);
+            return { method, database: dbName, name: path.basename(filePath), path: filePath, createdAt, size: fs.statSync(filePath).size };
+        }
+
+        throw new Error(`Unknown snapshot method "${method}". Expected template or dump`);
+    }
+
+    // Snapshots of dbName, newest first
+    async list(dbName) {
+        const snapshots = [];
+
+        const rows = await this.pg.queryRows('postgres',
+            `SELECT datname, shobj_description(oid, 'pg_database') FROM pg_database WHERE shobj_description(oid, 'pg_database') LIKE ${PostgresClient.quoteLiteral(`${SNAPSHOT_COMMENT} %`)}`);
+        for (const [name, comment] of rows) {
+            const match = comment.slice(SNAPSHOT_COMMENT.length + 1).match(/^(.*), taken (\S+)$/);
+            if (match && match[1] === dbName) {
+                snapshots.push({ method: 'template', database: dbName, name, createdAt: new Date(match[2]), size: null });
+            }
+        }
+
+        const directory = this.dumpDirectory(dbName);
+        if (fs.existsSync(directory)) {
+            for (const file of fs.readdirSync(directory)) {
+                const match = file.match(DUMP_FILE);
+                if (match) {
+                    const [, day, time] = match;
+                    const filePath = path.join(directory, file);
+                    snapshots.push({
+                        method: 'dump',
+                        database: dbName,
+                        name: file,
+                        path: filePath,
+                        createdAt: new Date(`${day.slice(0, 4)}-${day.slice(4, 6)}-${day.slice(6)}T${time.slice(0, 2)}:${time.slice(2, 4)}:${time.slice(4)}Z`),
+                        size: fs.statSync(filePath).size
+                    });
+                }
+            }
+        }
+
+        return snapshots.sort((a, b) => b.createdAt - a.createdAt);
+    }
+
+    // Recreate dbName from a snapshot; dbName must not exist. The snapshot itself is kept.
+    async restore(snapshot, dbName) {
+        if (snapshot.method === 'template') {
+            await this.terminateConnections(snapshot.name);
+            await this.pg.query('postgres', `CREATE DATABASE ${PostgresClient.quoteIdent(dbName)} TEMPLATE ${PostgresClient.quoteIdent(snapshot.name)}`);
+            return;
+        }
+
+        await this.pg.query('postgres', `CREATE DATABASE ${PostgresClient.quoteIdent(dbName)}`);
+        // Same server the snapshot came from, so owners and grants are restored as they were
+        await this.pg.pgRestore(dbName, ['--exit-on-error', '--single-transaction', snapshot.path]);
+    }
+
+    async remove(snapshot) {
+        if (snapshot.method === 'template') {
+            await this.terminateConnections(snapshot.name);
+            await this.pg.query('postgres', `DROP DATABASE IF EXISTS ${PostgresClient.quoteIdent(snapshot.name)}`);
+        } else {
+            fs.rmSync(snapshot.path, { force: true });
+        }
+    }
+
+    // Remove all but the newest `keep` snapshots of dbName; returns the removed ones
+    async prune(dbName, keep) {
+        const removed = (await this.list(dbName)).slice(Math.max(keep, 0));
+        for (const snapshot of removed) {
+            await this.remove(snapshot);
+        }
+        return removed;
+    }
+
+    async terminateConnections(dbName) {
+        await this.pg.query(
+            'postgres',
+            `SELECT pg_terminate_backend(pid) FROM pg_stat_activity WHERE datname = ${PostgresClient.quoteLiteral(dbName)} AND pid <> pg_backend_pid()`
+        );
+    }
+}
+
+SnapshotStore.SNAPSHOT_COMMENT = SNAPSHOT_COMMENT;
+
+module.exports = SnapshotStore;
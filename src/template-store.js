@@ -0,0 +1,82 @@
+const PostgresClient = require('./postgres-client');
+
+// Marks saved templates: COMMENT ON DATABASE "<name>_template" IS 'db-restore: template of <name>, saved <iso>'
+const TEMPLATE_COMMENT = 'db-restore: template of';
+
+// Restored databases saved as PostgreSQL template databases, so `db-restore reset` can recreate them
+// with CREATE DATABASE ... TEMPLATE (a file-level copy) instead of running the restore again.
+// Templates are marked datistemplate and refuse connections, so nothing changes them by accident
+// and no session can block the copy.
+class TemplateStore {
+    constructor(pg) {
+        this.pg = pg;
+    }
+
+    static templateName(dbName) {
+        return PostgresClient.suffixedName(dbName, 'template', '_');
+    }
+
+    // Save dbName as its template, replacing an older one; returns the template
+    async save(dbName) {
+        const name = TemplateStore.templateName(dbName);
+        const savedAt = new Date();
+
+        const previous = (await this.list()).find(template => template.name === name);
+        if (previous) {
+            await this.remove(previous);
+        } else if (await this.pg.queryValue('postgres', `SELECT 1 FROM pg_database WHERE datname = ${PostgresClient.quoteLiteral(name)}`) === '1') {
+            throw new Error(`Database ${name} already exists and is not a template saved by db-restore; rename or drop it first`);
+        }
+
+        // CREATE DATABASE ... TEMPLATE fails while anyone else is connected to the source
+        await this.terminateConnections(dbName);
+        await this.pg.query('postgres', `CREATE DATABASE ${PostgresClient.quoteIdent(name)} TEMPLATE ${PostgresClient.quoteIdent(dbName)}`);
+        await this.pg.query('postgres', [
+            `COMMENT ON DATABASE ${PostgresClient.quoteIdent(name)} IS ${PostgresClient.quoteLiteral(`${TEMPLATE_COMMENT} ${dbName}, saved ${savedAt.toISOString()}`)};`,
+            `ALTER DATABASE ${PostgresClient.quoteIdent(name)} WITH IS_TEMPLATE true ALLOW_CONNECTIONS false;`
+        ].join(' '));
+
+        return (await this.list()).find(template => template.name === name);
+    }
+
+    // Templates saved by this tool: { name, database, savedAt, size }, sorted by database
+    async list() {
+        const rows = await this.pg.queryRows('postgres',
+            `SELECT datname, shobj_description(oid, 'pg_database'), pg_database_size(oid) FROM pg_database WHERE datistemplate AND shobj_description(oid, 'pg_database') LIKE ${PostgresClient.quoteLiteral(`${TEMPLATE_COMMENT} %`)}`);
+
+        return rows
+            .map(([name, comment, size]) => {
+                const match = comment.slice(TEMPLATE_COMMENT.length + 1).match(/^(.*), saved (\S+)$/);
+                return match ? { name, database: match[1], savedAt: new Date(match[2]), size: parseInt(size) } : null;
+            })
+            .filter(Boolean)
+            .sort((a, b) => a.database.localeCompare(b.database));
+    }
+
+    // Template of dbName, or null
+    async find(dbName) {
+        return (await this.list()).find(template => template.database === dbName) || null;
+    }
+
+    // Create dbName from its template; dbName must not exist
+    async createFrom(template, dbName) {
+        await this.pg.query('postgres', `CREATE DATABASE ${PostgresClient.quoteIdent(dbName)} TEMPLATE ${PostgresClient.quoteIdent(template.name)}`);
+    }
+
+    // PostgreSQL refuses to drop a database that is still marked as a template
+    async remove(template) {
+        await this.pg.query('postgres', `ALTER DATABASE ${PostgresClient.quoteIdent(template.name)} WITH IS_TEMPLATE false`);
+        await this.pg.query('postgres', `DROP DATABASE ${PostgresClient.quoteIdent(template.name)}`);
+    }
+
+    async terminateConnections(dbName) {
+        await this.pg.query(
+            'postgres',
+            `SELECT pg_terminate_backend(pid) FROM pg_stat_activity WHERE datname = ${PostgresClient.quoteLiteral(dbName)} AND pid <> pg_backend_pid()`
+        );
+    }
+}
+
+TemplateStore.TEMPLATE_COMMENT = TEMPLATE_COMMENT;
+
+module.exports = TemplateStore;